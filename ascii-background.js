@@ -3,44 +3,384 @@
 // With WASD Movement & Arrow Key Camera Controls
 // ==========================================
 
+// Character sets for the floating ASCII sprites. Every glyph lives in one shared GlyphAtlas,
+// so adding a set costs atlas cells rather than a texture per sprite.
+const GLYPH_SETS = {
+    classic: ['@', '#', '$', '%', '&', '*', '+', '=', '~', '◆', '◇', '★', '✦', '✧', '※'],
+    box: Array.from('─│┌┐└┘├┤┬┴┼═║╔╗╚╝╠╣╦╩╬░▒▓█'),
+    katakana: Array.from('アイウエオカキクケコサシスセソタチツテトナニヌネノハヒフヘホマミムメモヤユヨラリルレロワン'),
+    braille: Array.from({ length: 255 }, (_, i) => String.fromCharCode(0x2801 + i)) // Skips the blank pattern
+};
+
+// Named colour themes. The colours themselves live in styles.css as --theme-* custom properties on
+// [data-theme="..."], so the page and the scene read the same values (see readTheme).
+const THEMES = ['vaporwave', 'neon', 'matrix', 'amber'];
+
+// Colours used when the stylesheet doesn't define a --theme-* property (vaporwave's)
+const DEFAULT_THEME_COLORS = {
+    primary: 0x9d4edd, // Purple
+    secondary: 0x00e5ff, // Cyan
+    tertiary: 0x5b7fff, // Blue
+    highlight: 0xffd700, // Gold
+    muted: 0xb39ddb // Washed purple
+};
+
+// Tunable settings. Each one can be passed in the constructor's options object
+// or set as a data-* attribute on the canvas (renderDistance -> data-render-distance).
+// Explicit options win over data attributes, which win over these defaults.
+const ASCII_BACKGROUND_OPTIONS = {
+    // Procedural generation
+    seed: { type: 'seed', default: 1 }, // World seed, overridden by a ?seed= query parameter
+    renderDistance: { type: 'number', default: 300, min: 50, max: 2000 },
+    detailDistance: { type: 'number', default: 150, min: 10, max: 2000 }, // Distance at which landmarks are built in full (crystals get rings and lights)
+    lowDetailDistance: { type: 'number', default: 225, min: 10, max: 2000 }, // Distance at which glows become low-poly crystals
+    gridSize: { type: 'number', default: 100, min: 20, max: 1000 }, // Spacing between potential landmark positions
+    aetheryteChance: { type: 'number', default: 0.3, min: 0, max: 1 }, // Chance of a landmark (see LANDMARK_TYPES) at each grid point
+    biomes: { type: 'boolean', default: true }, // Vary density, colours and fog by region; off keeps Aether Drift everywhere
+    fadeInDuration: { type: 'number', default: 2000, min: 0, max: 20000 }, // ms for fades between detail levels
+
+    // Scene population
+    particleCount: { type: 'number', default: 1500, min: 0, max: 20000, integer: true },
+    asciiSpriteCount: { type: 'number', default: 80, min: 0, max: 1000, integer: true },
+    glyphSet: { type: 'enum', default: 'classic', values: Object.keys(GLYPH_SETS) }, // Characters the ASCII sprites draw from
+    debrisCount: { type: 'number', default: 300, min: 0, max: 2000, integer: true }, // Initial debris
+    minDebrisCount: { type: 'number', default: 200, min: 0, max: 2000, integer: true }, // Refill below this
+    serpentCount: { type: 'number', default: 0, min: 0, max: 64, integer: true }, // Flocking ASCII serpents, off unless a page asks for them
+
+    // Flight and HUD
+    maxSpeed: { type: 'number', default: 1.5, min: 0.1, max: 20 },
+    idleThreshold: { type: 'number', default: 10000, min: 1000, max: 600000 }, // ms before auto-pilot
+    maxSpeedLines: { type: 'number', default: 60, min: 0, max: 500, integer: true },
+    mouseLook: { type: 'boolean', default: true }, // Allow mouse look (Pointer Lock) in flight mode
+    mouseSensitivity: { type: 'number', default: 1, min: 0.1, max: 10 },
+    invertY: { type: 'boolean', default: false }, // Mouse look: moving the mouse up pitches down
+    tiltLook: { type: 'boolean', default: true }, // Offer tilt look (DeviceOrientation) with the touch sticks
+
+    // ASCII post-processing pass
+    asciiPass: { type: 'boolean', default: false },
+    asciiCellSize: { type: 'number', default: 8, min: 2, max: 64, integer: true },
+    asciiRamp: { type: 'string', default: ' .:-=+*#%@' },
+    asciiColorMode: { type: 'enum', default: 'color', values: ['color', 'mono'] },
+    asciiMonoColor: { type: 'color', default: 0x00e5ff },
+
+    // Colour theme, unless the visitor picked one with the theme toggle
+    theme: { type: 'enum', default: 'vaporwave', values: THEMES },
+
+    // Rendering quality: 'auto' lets the governor pick a tier from measured frame times
+    qualityTier: { type: 'enum', default: 'auto', values: ['auto', 'ultra', 'high', 'medium', 'low'] },
+    debug: { type: 'boolean', default: false }, // Show the quality/frame-time readout on the HUD
+
+    // Reduced motion: 'slow' keeps a gently drifting scene, 'static' freezes it between camera moves
+    reducedMotionMode: { type: 'enum', default: 'slow', values: ['slow', 'static'] }
+};
+
+// Regions of space, laid out along a coherent noise field over grid cells (see getBiomeWeights);
+// neighbours in this list are the ones that border each other.
+// density scales aetheryteChance, debris weighs sparkles/shards/glyphs, and sunset holds the
+// HUD gradient's colour stops.
+const BIOMES = [
+    {
+        name: 'Void Expanse',
+        density: 0.35,
+        palette: [0x5b7fff, 0x3a4aff, 0x9d4edd], // Deep blues and violet
+        debris: [0.2, 0.2, 0.6],
+        fog: { color: 0x000000, density: 0.0015 },
+        sunset: [[91, 127, 255], [60, 80, 200], [157, 78, 221], [120, 90, 255], [80, 60, 180]]
+    },
+    {
+        name: 'Aether Drift',
+        density: 1,
+        palette: [0x9d4edd, 0x00e5ff, 0x5b7fff], // Purple, cyan, blue
+        debris: [0.3, 0.3, 0.4],
+        fog: { color: 0x000000, density: 0.002 },
+        sunset: [[157, 78, 221], [91, 127, 255], [255, 100, 150], [255, 215, 0], [255, 150, 0]]
+    },
+    {
+        name: 'Crystal Reef',
+        density: 1.6,
+        palette: [0x00e5ff, 0x00ffc8, 0x5bffb0], // Cyan, aqua, mint
+        debris: [0.25, 0.55, 0.2],
+        fog: { color: 0x021a1f, density: 0.0025 },
+        sunset: [[0, 229, 255], [0, 255, 200], [91, 255, 176], [255, 215, 0], [0, 180, 160]]
+    },
+    {
+        name: 'Ember Nebula',
+        density: 0.8,
+        palette: [0xff6b35, 0xff10f0, 0xffd700], // Orange, magenta, gold
+        debris: [0.5, 0.2, 0.3],
+        fog: { color: 0x1a0508, density: 0.003 },
+        sunset: [[255, 16, 240], [255, 107, 53], [255, 60, 90], [255, 215, 0], [255, 120, 0]]
+    }
+];
+
+// Detail levels for landmark cells, farthest first: a billboard glow, a low-poly crystal,
+// then the full landmark (for aetherytes, the crystal with rings and lights). Chunks crossfade between them.
+const LOD_TIERS = ['glow', 'low', 'full'];
+
+// Landmarks the world generator places in occupied grid cells, one per cell, picked by weight.
+// Each type sets its own detail levels: lodScale stretches the distances at which it is built
+// in full, lowPoly gives it the low-poly crystal stage, and glowScale/haloColor size and tint its
+// distant glow (a null halo takes the cell's colour and a theme role such as 'highlight' follows
+// the theme), and radius is how wide a berth serpents give
+// it (0 lets them swim through). create() builds the full-detail object for
+// a chunk from its random stream; animate() runs every simulation step, with the crossfade in
+// object.userData.fade. Adding a type here is all the world generator needs.
+const LANDMARK_TYPES = {
+    aetheryte: {
+        weight: 6, lodScale: 1, lowPoly: true, glowScale: 1, haloColor: 'highlight', radius: 16,
+        create: (background, chunk) => background.createAetheryte(chunk.gridPos),
+        animate: (background, object, ambient, twinkle) => background.animateAetheryte(object, ambient, twinkle)
+    },
+    nebula: {
+        weight: 2, lodScale: 1.6, lowPoly: false, glowScale: 3, haloColor: null, radius: 0,
+        create: (background, chunk, random) => background.createNebula(chunk, random),
+        animate: (background, object, ambient, twinkle) => background.animateNebula(object, ambient, twinkle)
+    },
+    ringGate: {
+        weight: 2, lodScale: 1.3, lowPoly: false, glowScale: 1.6, haloColor: 'secondary', radius: 26,
+        create: (background, chunk, random) => background.createRingGate(chunk, random),
+        animate: (background, object, ambient) => background.animateRingGate(object, ambient)
+    },
+    asteroids: {
+        weight: 2, lodScale: 1, lowPoly: false, glowScale: 1.4, haloColor: 0xb0a090, radius: 42,
+        create: (background, chunk, random) => background.createAsteroidCluster(chunk, random),
+        animate: (background, object, ambient) => background.animateAsteroidCluster(object, ambient)
+    },
+    monolith: {
+        weight: 1.5, lodScale: 1.2, lowPoly: false, glowScale: 1.2, haloColor: 'secondary', radius: 18, upright: true,
+        create: (background, chunk, random) => background.createMonolith(chunk, random),
+        animate: (background, object, ambient, twinkle) => background.animateMonolith(object, ambient, twinkle)
+    },
+    planet: {
+        weight: 1.5, lodScale: 2, lowPoly: false, glowScale: 4, haloColor: null, radius: 70,
+        create: (background, chunk, random) => background.createWireframePlanet(chunk, random),
+        animate: (background, object, ambient) => background.animateWireframePlanet(object, ambient)
+    }
+};
+
+// Words the ASCII monoliths spell out, top to bottom
+const MONOLITH_WORDS = ['AETHER', 'SIGNAL', 'ORBIT', 'ECHO', 'DRIFT', 'NEON', 'VOID', 'HELLO', 'PULSE', 'ZENITH'];
+
+// Quality tiers, best first. Counts are scaled from the configured options.
+const QUALITY_TIERS = [
+    { name: 'ultra', maxPixelRatio: 2, debrisScale: 1, physicalMaterials: true, lightBudget: 8, speedLineScale: 1 },
+    { name: 'high', maxPixelRatio: 1.5, debrisScale: 0.75, physicalMaterials: true, lightBudget: 6, speedLineScale: 0.75 },
+    { name: 'medium', maxPixelRatio: 1, debrisScale: 0.5, physicalMaterials: false, lightBudget: 4, speedLineScale: 0.5 },
+    { name: 'low', maxPixelRatio: 0.75, debrisScale: 0.25, physicalMaterials: false, lightBudget: 0, speedLineScale: 0.25 }
+];
+
+// Fixed set of instance slots shared by one or more InstancedMeshes (e.g. a star core and its glow).
+// Released slots are hidden with a zero-scale matrix and handed out again, so objects streaming
+// in and out of view never allocate geometry or materials.
+class InstancePool {
+    constructor(meshes, capacity) {
+        this.meshes = meshes;
+        this.capacity = capacity;
+        this.freeSlots = [];
+        this.highWater = 0; // Slots handed out so far - the meshes only draw this many
+        this.meshes.forEach(mesh => { mesh.count = 0; });
+    }
+
+    // Returns a slot index, or -1 when every slot is in use
+    acquire() {
+        if (this.freeSlots.length > 0) {
+            return this.freeSlots.pop();
+        }
+        if (this.highWater >= this.capacity) {
+            return -1;
+        }
+        const slot = this.highWater++;
+        this.meshes.forEach(mesh => { mesh.count = this.highWater; });
+        return slot;
+    }
+
+    release(slot) {
+        this.meshes.forEach(mesh => {
+            mesh.setMatrixAt(slot, InstancePool.hiddenMatrix);
+            mesh.instanceMatrix.needsUpdate = true;
+        });
+        this.freeSlots.push(slot);
+    }
+
+    // Hand back every slot at once
+    clear() {
+        this.freeSlots = [];
+        this.highWater = 0;
+        this.meshes.forEach(mesh => { mesh.count = 0; });
+    }
+
+    get size() {
+        return this.highWater - this.freeSlots.length;
+    }
+}
+
+InstancePool.hiddenMatrix = new THREE.Matrix4().makeScale(0, 0, 0);
+
+// One canvas texture holding every glyph the scene draws, in white so instances can tint them.
+// Glyphs are drawn on first use and addressed by cell index; shaders turn an index into UVs
+// through the shared grid uniform, so growing the atlas never invalidates existing indices.
+class GlyphAtlas {
+    constructor(cellSize = 64, columns = 16) {
+        this.cellSize = cellSize;
+        this.columns = columns;
+        this.rows = 1;
+        this.indices = new Map(); // Glyph -> cell index
+        this.canvas = this.createCanvas(this.rows);
+        this.texture = new THREE.CanvasTexture(this.canvas);
+        this.uniforms = {
+            map: { value: this.texture },
+            grid: { value: new THREE.Vector2(this.columns, this.rows) }
+        };
+    }
+
+    createCanvas(rows) {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.columns * this.cellSize;
+        canvas.height = rows * this.cellSize;
+        return canvas;
+    }
+
+    // Cell index for a glyph, drawing it into the atlas the first time it's asked for
+    getIndex(glyph) {
+        if (this.indices.has(glyph)) {
+            return this.indices.get(glyph);
+        }
+
+        const index = this.indices.size;
+        if (index >= this.columns * this.rows) {
+            this.grow();
+        }
+        this.drawGlyph(glyph, index);
+        this.indices.set(glyph, index);
+        this.texture.needsUpdate = true;
+        return index;
+    }
+
+    getIndices(glyphs) {
+        return glyphs.map(glyph => this.getIndex(glyph));
+    }
+
+    drawGlyph(glyph, index) {
+        const context = this.canvas.getContext('2d');
+        const size = this.cellSize;
+        context.font = `Bold ${Math.round(size * 0.75)}px monospace`;
+        context.fillStyle = '#ffffff';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(glyph, (index % this.columns + 0.5) * size, (Math.floor(index / this.columns) + 0.5) * size);
+    }
+
+    // Double the rows, keeping existing cells where they are
+    grow() {
+        const canvas = this.createCanvas(this.rows * 2);
+        canvas.getContext('2d').drawImage(this.canvas, 0, 0);
+        this.canvas = canvas;
+        this.rows *= 2;
+        this.texture.image = canvas;
+        this.uniforms.grid.value.set(this.columns, this.rows);
+    }
+
+    dispose() {
+        this.texture.dispose();
+    }
+}
+
 class AsciiBackground {
-    constructor() {
-        this.canvas = document.getElementById('ascii-canvas');
+    constructor(canvas, options = {}) {
+        this.canvas = canvas || document.getElementById('ascii-canvas');
+        this.options = AsciiBackground.resolveOptions(this.canvas, options);
+        this.seed = this.resolveSeed(); // Every generator draws from this
+        this.biomeSeed = AsciiNoise.deriveSeed(this.seed, 'biome');
+        this.biomeScale = 1 / 6; // Noise frequency per grid cell - regions span several cells
+        this.biome = null; // Blended settings around the camera (see updateBiome)
         this.scene = null;
         this.camera = null;
         this.renderer = null;
         this.particles = [];
         this.crystals = [];
-        this.distantStars = [];
-        this.loadedAetherytes = new Map(); // Track loaded full aetherytes
-        this.floatingDebris = []; // Track procedurally generated debris
-        this.envMap = null; // Environment map for reflections
+        this.distantStars = new Map(); // gridKey -> star record, drawn through starPool
+        this.lowPolyCrystals = new Map(); // gridKey -> low-poly record, drawn through lowPolyPool
+        this.lightPool = []; // Fixed set of PointLights shared by the loaded aetherytes
+        this.loadedLandmarks = new Map(); // gridKey -> full-detail landmark object
+        this.floatingDebris = []; // Debris records - drawn through debrisPools
+        this.envMap = null; // PMREM-filtered skybox, used for reflections through scene.environment
+        this.skybox = null; // Cube render target and sky shader (see createEnvironmentMap)
+        this.skyboxSize = 512; // Pixels per cube face
+        this.nebulaTexture = null; // Soft puff shared by every nebula's sprites, made on first use
+
+        // Instanced drawing for stars, debris and ASCII sprites (see createStarInstances / createDebrisInstances)
+        this.starPool = null;
+        this.starMeshes = null;
+        this.lowPolyPool = null;
+        this.lowPolyMesh = null;
+        this.lowPolyScale = new THREE.Vector3(1, 1, 1);
+        this.debrisPools = null;
+        this.debrisMeshes = null;
+        this.debrisGlyphs = ['◆', '◇', '★', '✦', '✧', '※', '+', '*', '·'];
+        this.glyphAtlas = null; // Shared by the ASCII sprites and debris glyphs
+        this.glyphSet = this.options.glyphSet;
+        this.spritePool = null;
+        this.spriteMesh = null;
+        this.serpents = []; // Serpent records (see createSerpents), drawn through serpentMesh
+        this.serpentMesh = null;
+        this.serpentGlyphs = ['@', '§', '%', '#', '=', '=', '~', '~', '-', '-', '·', '·']; // Head to tail
+        this.serpentSpacing = 3; // World units between segments
+        this.tempMatrix = new THREE.Matrix4();
+        this.tempQuaternion = new THREE.Quaternion();
+        this.tempColor = new THREE.Color();
+        this.tempScale = new THREE.Vector3();
+        this.tempVector = new THREE.Vector3();
+
+        // Starfield points and ASCII sprites tile around the camera in boxes of these sizes,
+        // so their density is the same wherever the camera travels
+        this.particleFieldSize = 300;
+        this.spriteFieldSize = 200;
+        this.particleWrap = {
+            wrapCamera: { value: new THREE.Vector3() },
+            wrapDrift: { value: new THREE.Vector3() }, // Slow drift of the whole field
+            wrapSize: { value: this.particleFieldSize }
+        };
 
         // Generation settings
-        this.renderDistance = 300;
-        this.detailDistance = 150; // Distance at which stars become full aetherytes
-        this.gridSize = 100; // Spacing between potential aetheryte positions
-        this.aetheryteChance = 0.3; // 30% chance of aetheryte at each grid point
-        this.fadeInDuration = 2000; // ms for fade-in animation
-
-        // Movement controls
-        this.keys = {
-            w: false,
-            a: false,
-            s: false,
-            d: false,
-            ArrowUp: false,
-            ArrowDown: false,
-            ArrowLeft: false,
-            ArrowRight: false
-        };
+        this.renderDistance = this.options.renderDistance;
+        this.detailDistance = this.options.detailDistance;
+        this.lowDetailDistance = this.options.lowDetailDistance;
+        this.gridSize = this.options.gridSize;
+        this.aetheryteChance = this.options.aetheryteChance;
+        this.fadeInDuration = this.options.fadeInDuration;
+
+        // Movement controls - the camera only takes the keyboard in flight mode (see InputManager)
+        this.input = new InputManager({
+            onFlightModeChange: enabled => this.handleFlightModeChange(enabled),
+            onPointerLockChange: locked => this.handlePointerLockChange(locked),
+            onPointerLockError: () => this.showHudMessage('MOUSE LOOK UNAVAILABLE'),
+            onTiltChange: state => this.showHudMessage(`TILT LOOK ${state.toUpperCase()}`),
+            onGamepadChange: connected => this.showHudMessage(connected ? 'CONTROLLER CONNECTED' : 'CONTROLLER DISCONNECTED'),
+            onCommand: command => this.runCommand(command),
+            onSteer: () => {
+                // Manual input cancels a bookmark flight and breaks auto-pilot
+                this.cameraFlight = null;
+                this.resetIdleTimer();
+            }
+        });
+        this.flightToggle = null;
+        this.keysToggle = null;
+        this.keysPanel = null; // Key bindings panel, opened with the KEYS button
+        this.mouseLook = this.options.mouseLook;
+        this.mouseSensitivity = this.options.mouseSensitivity;
+        this.invertY = this.options.invertY;
+        this.mouseTurnRate = 0.0003; // Rotational velocity added per pixel of mouse movement at sensitivity 1
 
         // Physics-based movement
         this.velocity = new THREE.Vector3();
         this.acceleration = new THREE.Vector3();
         this.accelerationForce = 0.025; // How quickly we accelerate
-        this.maxSpeed = 1.5; // Maximum velocity
+        this.maxSpeed = this.options.maxSpeed; // Maximum velocity
         this.damping = 0.92; // Velocity damping (friction)
+        this.boostThrust = 3; // Thrust multiplier at full boost
+        this.boostSpeed = 2; // Speed limit multiplier at full boost
+        this.brakeDamping = 0.1; // Extra damping at full brake
+        this.boostLevel = 0; // 0 to 1, eases towards the boost input so the speed limit doesn't snap back
 
         // Rotational physics
         this.rotationalVelocity = new THREE.Vector3(); // Pitch, Yaw, Roll
@@ -48,12 +388,77 @@ class AsciiBackground {
         this.maxRotationSpeed = 0.04; // Maximum rotation speed
         this.rotationalDamping = 0.85; // Rotation damping
 
+        // Adaptive quality - the governor samples frame times and steps between QUALITY_TIERS
+        this.qualityOverride = this.options.qualityTier; // 'auto' or a fixed tier name
+        this.qualityIndex = this.getInitialQualityIndex();
+        this.qualityTier = QUALITY_TIERS[this.qualityIndex];
+        this.qualitySampleWindow = 2000; // ms of frames averaged per decision
+        this.qualityDowngradeFrameTime = 1000 / 40; // Step down when averaging slower than 40fps
+        this.qualityUpgradeFrameTime = 1000 / 58; // Step up when comfortably holding 60fps
+        this.qualityUpgradeWindows = 3; // Consecutive good windows needed to step up
+        this.qualityUpgradeCooldown = 10000; // ms after a downgrade before trying to step up again
+        this.qualityStats = { frames: 0, totalTime: 0, averageFrameTime: 0, goodWindows: 0, lastDowngrade: 0 };
+        this.debrisCount = this.options.debrisCount;
+        this.minDebrisCount = this.options.minDebrisCount;
+        this.debug = this.options.debug;
+
+        // Reduced motion - follows prefers-reduced-motion unless the visitor chooses with the toggle
+        this.reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+        this.reducedMotionMode = this.options.reducedMotionMode;
+        this.reducedMotionTimeScale = 0.15; // Ambient drift speed in 'slow' mode
+        this.reducedMotionStorageKey = 'reducedMotion';
+        this.reducedMotion = this.getReducedMotionPreference();
+        this.motionToggle = null;
+
+        // Colour theme - the --theme-* properties of the chosen [data-theme] (see readTheme)
+        this.themeStorageKey = 'theme';
+        this.themeToggle = null;
+        document.documentElement.dataset.theme = this.getThemePreference();
+        this.theme = AsciiBackground.readTheme();
+        this.needsRender = true; // Forces a redraw in 'static' mode
+        this.lastRenderedPosition = new THREE.Vector3();
+        this.lastRenderedQuaternion = new THREE.Quaternion();
+
+        // Lifecycle - the loop runs only while nothing has paused it
+        this.animate = this.animate.bind(this);
+        this.animationFrameId = null;
+        this.pauseReasons = new Set();
+        this.pausedAt = 0;
+        this.destroyed = false;
+        this.visibilityObserver = null;
+
         // Track frame count for generation throttling
         this.frameCount = 0;
 
+        // Chunk streaming (see updateProceduralAetherytes)
+        this.chunks = new Map(); // gridKey -> chunk (see loadChunk) for every loaded landmark cell
+        this.chunkCenter = null; // Camera cell the shell was last diffed against
+        this.chunkQueue = []; // Pending { type: 'load' | 'unload', gridPos, key } work
+        this.chunkQueueHead = 0;
+        this.chunkBudget = 64; // Queued loads/unloads processed per simulation step
+        this.maxLandmarkSpawns = 2; // Full landmarks built per detail update
+        this.shellOffsetCache = new Map();
+        this.fadingChunks = new Set(); // Chunks mid-crossfade, stepped by updateChunkFades
+        this.detailedChunks = new Set(); // Chunks above the lowest detail level
+        this.viewFrustum = new THREE.Frustum(); // Refreshed once per step by updateViewFrustum
+        this.viewProjection = new THREE.Matrix4();
+
+        // Fixed-timestep simulation driven by the real clock
+        this.simulationStep = 1000 / 60; // ms per step
+        this.maxSimulationSteps = 15; // Cap on catch-up steps per frame
+        this.maxFrameTime = 250; // ms; longer frames are clamped
+        this.simulationAccumulator = 0;
+        this.lastFrameTime = null;
+
+        // Camera state at the previous step, for render interpolation
+        this.lastStepPosition = new THREE.Vector3();
+        this.lastStepQuaternion = new THREE.Quaternion();
+        this.simulatedPosition = new THREE.Vector3();
+        this.simulatedQuaternion = new THREE.Quaternion();
+
         // Auto-pilot system
         this.idleTimer = 0;
-        this.idleThreshold = 10000; // 10 seconds
+        this.idleThreshold = this.options.idleThreshold;
         this.autoPilot = false;
         this.autoPilotTime = 0;
         this.previousCameraPosition = new THREE.Vector3();
@@ -61,21 +466,194 @@ class AsciiBackground {
         // HUD overlay
         this.hudCanvas = null;
         this.hudContext = null;
+        this.hudMessage = null; // Short-lived confirmation text, e.g. after copying a location
+
+        // Smooth flight between location bookmarks
+        this.cameraFlight = null;
+        this.minFlightDuration = 1200; // ms
+        this.maxFlightDuration = 4000; // ms
 
         // Speed lines system
         this.speedLines = [];
-        this.maxSpeedLines = 60;
-        this.speedLineColors = [
-            'rgba(157, 78, 221, 0.8)',  // Purple
-            'rgba(0, 229, 255, 0.8)',   // Cyan
-            'rgba(91, 127, 255, 0.8)',  // Blue
-            'rgba(255, 215, 0, 0.8)'    // Gold
-        ];
+        this.maxSpeedLines = this.options.maxSpeedLines;
+        this.speedLineColors = this.theme.palette.map(color => AsciiBackground.rgba(color, 0.8));
         this.previousVelocity = new THREE.Vector3();
 
+        // ASCII post-processing pass (renders the scene as glyph cells)
+        this.asciiPass = {
+            enabled: this.options.asciiPass,
+            cellSize: this.options.asciiCellSize, // CSS pixels per character cell
+            ramp: this.options.asciiRamp, // Glyphs, sorted dark to bright when drawn
+            colorMode: this.options.asciiColorMode, // 'color' samples the scene, 'mono' uses monoColor
+            monoColor: this.options.asciiMonoColor,
+            target: null,
+            material: null,
+            scene: null,
+            camera: null,
+            glyphTexture: null
+        };
+
         this.init();
     }
 
+    // Merge defaults, data-* attributes and explicit options, validating each value
+    static resolveOptions(canvas, options) {
+        const resolved = {};
+        const dataset = canvas ? canvas.dataset : {};
+
+        Object.keys(options).forEach(name => {
+            if (!ASCII_BACKGROUND_OPTIONS.hasOwnProperty(name)) {
+                console.warn(`AsciiBackground: unknown option "${name}" ignored`);
+            }
+        });
+
+        Object.keys(ASCII_BACKGROUND_OPTIONS).forEach(name => {
+            const spec = ASCII_BACKGROUND_OPTIONS[name];
+            resolved[name] = spec.default;
+
+            if (dataset[name] !== undefined) {
+                const value = AsciiBackground.parseOptionValue(name, spec, dataset[name], true);
+                if (value !== undefined) resolved[name] = value;
+            }
+            if (options[name] !== undefined) {
+                const value = AsciiBackground.parseOptionValue(name, spec, options[name], false);
+                if (value !== undefined) resolved[name] = value;
+            }
+        });
+
+        // Stars must upgrade to aetherytes inside the render distance
+        if (resolved.detailDistance > resolved.renderDistance) {
+            console.warn('AsciiBackground: detailDistance exceeds renderDistance, clamping');
+            resolved.detailDistance = resolved.renderDistance;
+        }
+        // The low-poly band sits between the two, even if only one of them was changed
+        resolved.lowDetailDistance = Math.min(
+            Math.max(resolved.lowDetailDistance, resolved.detailDistance),
+            resolved.renderDistance
+        );
+
+        return resolved;
+    }
+
+    // Returns the validated value, or undefined (with a warning) if it can't be used
+    static parseOptionValue(name, spec, raw, fromAttribute) {
+        let value = raw;
+
+        if (spec.type === 'number') {
+            // Number() rather than parseFloat() so trailing junk like "300px" is rejected, not truncated
+            value = fromAttribute ? (raw.trim() === '' ? NaN : Number(raw)) : raw;
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                console.warn(`AsciiBackground: option "${name}" must be a number, got "${raw}"`);
+                return undefined;
+            }
+            if (spec.integer) value = Math.round(value);
+            if (value < spec.min || value > spec.max) {
+                console.warn(`AsciiBackground: option "${name}" must be between ${spec.min} and ${spec.max}, got ${value}`);
+                return undefined;
+            }
+        } else if (spec.type === 'boolean') {
+            // A bare attribute (data-ascii-pass) counts as true
+            if (fromAttribute) {
+                value = raw === '' || raw === 'true' ? true : raw === 'false' ? false : undefined;
+            }
+            if (typeof value !== 'boolean') {
+                console.warn(`AsciiBackground: option "${name}" must be true or false, got "${raw}"`);
+                return undefined;
+            }
+        } else if (spec.type === 'enum') {
+            if (!spec.values.includes(value)) {
+                console.warn(`AsciiBackground: option "${name}" must be one of ${spec.values.join(', ')}, got "${raw}"`);
+                return undefined;
+            }
+        } else if (spec.type === 'seed') {
+            // Any number or word works as a seed; words are hashed
+            if (!(typeof value === 'number' && Number.isFinite(value)) && !(typeof value === 'string' && value.length > 0)) {
+                console.warn(`AsciiBackground: option "${name}" must be a number or a word, got "${raw}"`);
+                return undefined;
+            }
+            value = AsciiBackground.normalizeSeed(value);
+        } else if (spec.type === 'color') {
+            // Accept 0xrrggbb numbers or CSS hex strings like "#00ff41"
+            if (typeof value === 'string' && /^#?[0-9a-f]{6}$/i.test(value)) {
+                value = parseInt(value.replace('#', ''), 16);
+            }
+            if (typeof value !== 'number' || !Number.isInteger(value) || value < 0 || value > 0xffffff) {
+                console.warn(`AsciiBackground: option "${name}" must be a hex colour, got "${raw}"`);
+                return undefined;
+            }
+        } else if (typeof value !== 'string' || value.length === 0) {
+            console.warn(`AsciiBackground: option "${name}" must be a non-empty string`);
+            return undefined;
+        }
+
+        return value;
+    }
+
+    // Reduce a number or string seed to an unsigned 32-bit integer
+    static normalizeSeed(value) {
+        const text = String(value).trim();
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+        return AsciiNoise.hashString(text);
+    }
+
+    // Colours of the active theme, read from the --theme-* custom properties on <html>.
+    // palette lists primary, secondary, tertiary and highlight - the scene's purple, cyan, blue and gold
+    // under vaporwave. Themes without --theme-biome-colors: 1 paint every region with their own
+    // palette and --theme-sunset (five hex stops, top to bottom) instead of the biomes' colours.
+    static readTheme() {
+        const root = document.documentElement;
+        const style = getComputedStyle(root);
+        const read = name => style.getPropertyValue(name).trim();
+        const parseHex = text => /^#[0-9a-f]{6}$/i.test(text) ? parseInt(text.slice(1), 16) : null;
+
+        const colors = {};
+        Object.keys(DEFAULT_THEME_COLORS).forEach(role => {
+            const value = parseHex(read(`--theme-${role}`));
+            colors[role] = value === null ? DEFAULT_THEME_COLORS[role] : value;
+        });
+
+        const sunset = read('--theme-sunset').split(',').map(stop => parseHex(stop.trim()));
+        const hasSunset = sunset.length === 5 && sunset.every(stop => stop !== null);
+        return Object.assign(colors, {
+            name: root.dataset.theme || 'vaporwave',
+            palette: [colors.primary, colors.secondary, colors.tertiary, colors.highlight],
+            sunset: hasSunset ? sunset.map(AsciiBackground.hexToRgb) : BIOMES[1].sunset,
+            biomeColors: read('--theme-biome-colors') !== '0'
+        });
+    }
+
+    static hexToRgb(hex) {
+        return [(hex >> 16) & 255, (hex >> 8) & 255, hex & 255];
+    }
+
+    // CSS colour string for a 0xrrggbb colour
+    static rgba(hex, alpha) {
+        const [r, g, b] = AsciiBackground.hexToRgb(hex);
+        return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+    }
+
+    // World seed from a location bookmark in the URL hash, then the ?seed= query parameter,
+    // falling back to the seed option
+    resolveSeed() {
+        const bookmark = AsciiBackground.parseLocation(window.location.hash);
+        if (bookmark) {
+            return bookmark.seed;
+        }
+
+        const querySeed = new URLSearchParams(window.location.search).get('seed');
+        if (querySeed) {
+            return AsciiBackground.normalizeSeed(querySeed);
+        }
+        return this.options.seed;
+    }
+
+    // Independent random stream for a generator, derived from the world seed and the given keys
+    createRandom(...keys) {
+        return AsciiNoise.mulberry32(AsciiNoise.deriveSeed(this.seed, ...keys));
+    }
+
     init() {
         // Setup scene
         this.scene = new THREE.Scene();
@@ -90,36 +668,69 @@ class AsciiBackground {
         );
         this.camera.position.set(0, 5, 50);
 
+        // Start at the bookmarked location if the URL has one
+        const bookmark = AsciiBackground.parseLocation(window.location.hash);
+        if (bookmark) {
+            this.camera.position.copy(bookmark.position);
+            this.camera.quaternion.copy(bookmark.quaternion);
+        }
+        this.lastStepPosition.copy(this.camera.position);
+        this.lastStepQuaternion.copy(this.camera.quaternion);
+
         // Setup renderer with enhanced settings
+        // Antialiasing and the GPU preference can't change later, so they follow the starting tier
+        const startsHighQuality = this.qualityTier.physicalMaterials;
         this.renderer = new THREE.WebGLRenderer({
             canvas: this.canvas,
-            antialias: true,
+            antialias: startsHighQuality,
             alpha: true,
-            powerPreference: "high-performance"
+            powerPreference: startsHighQuality ? "high-performance" : "default"
         });
         this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        this.applyQualityTier(this.qualityIndex);
         this.renderer.setClearColor(0x0a0a0a, 1);
         this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
         this.renderer.toneMappingExposure = 1.2;
 
-        // Create procedural environment map for reflections
+        // Fog, debris and the HUD follow the biome the camera starts in
+        this.updateBiome(true);
+
+        // Create the procedural skybox, which also lights reflections
         this.createEnvironmentMap();
 
         // Create HUD overlay
         this.createHUD();
+        this.createMotionToggle();
+        this.setReducedMotion(this.reducedMotion, false);
+        this.createThemeToggle();
+        this.createFlightToggle();
+        this.createKeyBindingsPanel();
+        if (InputManager.hasTouch()) {
+            this.input.createTouchControls(this.options.tiltLook);
+        }
+
+        // Create ASCII pass up front if it starts enabled
+        if (this.asciiPass.enabled) {
+            this.createAsciiPass();
+        }
 
         // Create environment
+        this.glyphAtlas = new GlyphAtlas();
+        this.createStarInstances();
+        this.createDebrisInstances();
         this.createParticleField();
         this.createAsciiSprites();
         this.createFloatingDebris(); // Initial debris
-        this.updateProceduralAetherytes(); // Initial generation
+        this.createSerpents();
+        this.updateViewFrustum();
+        this.updateProceduralAetherytes(true); // Initial generation
 
         // Event listeners
         this.setupEventListeners();
 
-        // Start animation loop
-        this.animate();
+        // Start animation loop (pauses right away if the tab is already hidden)
+        this.startLoop();
+        this.handleVisibilityChange();
     }
 
     createHUD() {
@@ -139,6 +750,322 @@ class AsciiBackground {
         this.hudContext = this.hudCanvas.getContext('2d');
     }
 
+    createMotionToggle() {
+        this.motionToggle = document.createElement('button');
+        this.motionToggle.type = 'button';
+        this.motionToggle.className = 'motion-toggle';
+        this.motionToggle.setAttribute('aria-label', 'Reduce motion');
+        this.motionToggle.addEventListener('click', () => {
+            this.setReducedMotion(!this.reducedMotion, true);
+        });
+        document.body.appendChild(this.motionToggle);
+    }
+
+    getReducedMotionPreference() {
+        // A choice made with the toggle wins over the OS setting
+        try {
+            const stored = localStorage.getItem(this.reducedMotionStorageKey);
+            if (stored !== null) {
+                return stored === 'true';
+            }
+        } catch (e) {
+            // Storage can be unavailable (e.g. privacy mode); fall through to the OS setting
+        }
+        return this.reducedMotionQuery ? this.reducedMotionQuery.matches : false;
+    }
+
+    setReducedMotion(enabled, remember) {
+        this.reducedMotion = !!enabled;
+
+        if (remember) {
+            try {
+                localStorage.setItem(this.reducedMotionStorageKey, String(this.reducedMotion));
+            } catch (e) {
+                // Not persisted, but still applies for this visit
+            }
+        }
+
+        if (this.reducedMotion) {
+            this.autoPilot = false;
+            this.speedLines = [];
+        }
+        this.needsRender = true;
+
+        // The page reads the class for CSS animations and the event for its scroll effects
+        document.documentElement.classList.toggle('reduced-motion', this.reducedMotion);
+        if (this.motionToggle) {
+            this.motionToggle.textContent = this.reducedMotion ? 'MOTION: REDUCED' : 'MOTION: FULL';
+            this.motionToggle.setAttribute('aria-pressed', String(this.reducedMotion));
+        }
+        document.dispatchEvent(new CustomEvent('reducedmotionchange', {
+            detail: { reducedMotion: this.reducedMotion }
+        }));
+    }
+
+    // ==========================================
+    // FLIGHT MODE
+    // The camera only steers while flight mode is on, so the page keeps its keyboard scrolling.
+    // F or the FLIGHT button enter it, Escape leaves. The KEYS button rebinds the keyboard.
+    // ==========================================
+
+    createFlightToggle() {
+        this.flightToggle = document.createElement('button');
+        this.flightToggle.type = 'button';
+        this.flightToggle.className = 'flight-toggle';
+        this.flightToggle.setAttribute('aria-label', 'Fly the camera with the keyboard');
+        this.flightToggle.setAttribute('aria-pressed', 'false');
+        this.flightToggle.textContent = 'FLIGHT: OFF';
+        this.flightToggle.addEventListener('click', () => {
+            this.setFlightMode(!this.input.flightMode);
+        });
+        document.body.appendChild(this.flightToggle);
+    }
+
+    // KEYS button and the panel it opens: one row per action, click a key then press its replacement
+    createKeyBindingsPanel() {
+        this.keysToggle = document.createElement('button');
+        this.keysToggle.type = 'button';
+        this.keysToggle.className = 'keys-toggle';
+        this.keysToggle.setAttribute('aria-label', 'Change the flight keys');
+        this.keysToggle.setAttribute('aria-expanded', 'false');
+        this.keysToggle.textContent = 'KEYS';
+
+        this.keysPanel = document.createElement('div');
+        this.keysPanel.className = 'key-bindings';
+        this.keysPanel.hidden = true;
+
+        Object.keys(KEY_BINDINGS).forEach(action => {
+            const row = document.createElement('div');
+            row.className = 'key-binding';
+            const label = document.createElement('span');
+            label.textContent = KEY_BINDINGS[action].label;
+            const key = document.createElement('button');
+            key.type = 'button';
+            key.className = 'key-binding-key';
+            key.dataset.action = action;
+            key.addEventListener('click', () => {
+                this.refreshKeyBindings();
+                key.textContent = 'PRESS A KEY';
+                key.classList.add('is-waiting');
+                this.input.captureBinding(action, () => this.refreshKeyBindings());
+            });
+            row.appendChild(label);
+            row.appendChild(key);
+            this.keysPanel.appendChild(row);
+        });
+
+        const reset = document.createElement('button');
+        reset.type = 'button';
+        reset.className = 'key-bindings-reset';
+        reset.textContent = 'RESET';
+        reset.addEventListener('click', () => this.resetKeyBindings());
+        this.keysPanel.appendChild(reset);
+
+        this.keysToggle.addEventListener('click', () => {
+            const open = this.keysPanel.hidden;
+            this.keysPanel.hidden = !open;
+            this.keysToggle.setAttribute('aria-expanded', String(open));
+            this.input.cancelCapture();
+            this.refreshKeyBindings();
+        });
+        document.body.appendChild(this.keysToggle);
+        document.body.appendChild(this.keysPanel);
+        this.refreshKeyBindings();
+    }
+
+    // Show the current key on every row (and drop any "press a key" prompt)
+    refreshKeyBindings() {
+        if (!this.keysPanel) return;
+        this.keysPanel.querySelectorAll('.key-binding-key').forEach(key => {
+            const action = key.dataset.action;
+            key.textContent = InputManager.keyName(this.input.bindings[action]);
+            key.classList.remove('is-waiting');
+            key.setAttribute('aria-label', `${KEY_BINDINGS[action].label}: ${key.textContent}, click to change`);
+        });
+    }
+
+    // Rebind an action from script, e.g. setKeyBinding('strafeLeft', 'KeyQ'); saved like the panel's changes
+    setKeyBinding(action, code) {
+        if (this.input.setBinding(action, code)) {
+            this.refreshKeyBindings();
+        }
+    }
+
+    resetKeyBindings() {
+        this.input.cancelCapture();
+        this.input.resetBindings();
+        this.refreshKeyBindings();
+    }
+
+    setFlightMode(enabled) {
+        this.input.setFlightMode(enabled);
+    }
+
+    handleFlightModeChange(enabled) {
+        if (enabled) {
+            this.cameraFlight = null;
+            this.resetIdleTimer();
+            if (this.input.touchControls) {
+                this.showHudMessage('FLIGHT MODE - LEFT STICK FLIES, RIGHT STICK PITCHES AND ROLLS', 3500);
+            } else {
+                const mouseKey = InputManager.keyName(this.input.bindings.toggleMouseLook);
+                const mouseHint = this.mouseLook ? `, ${mouseKey} FOR MOUSE LOOK` : '';
+                this.showHudMessage(`FLIGHT MODE - KEYS BUTTON LISTS CONTROLS${mouseHint}, ESC TO EXIT`, 3500);
+            }
+        } else {
+            this.showHudMessage('FLIGHT MODE OFF');
+        }
+        this.needsRender = true;
+
+        // The page reads the class (e.g. to ignore flight keys) and the event for anything else
+        document.documentElement.classList.toggle('flight-mode', enabled);
+        if (this.flightToggle) {
+            this.flightToggle.textContent = enabled ? 'FLIGHT: ON' : 'FLIGHT: OFF';
+            this.flightToggle.setAttribute('aria-pressed', String(enabled));
+        }
+        document.dispatchEvent(new CustomEvent('flightmodechange', {
+            detail: { flightMode: enabled }
+        }));
+    }
+
+    // Mouse look: the mouse turns the camera, right-drag rolls and the wheel sets the thrust.
+    // Enabling it captures the pointer, so it has to be called from a click or key press.
+    setMouseLook(enabled) {
+        if (!enabled) {
+            this.input.exitPointerLock();
+            return;
+        }
+        if (!this.mouseLook) return;
+        if (!this.input.requestPointerLock(this.canvas)) {
+            this.showHudMessage('MOUSE LOOK UNAVAILABLE');
+        }
+    }
+
+    setMouseSensitivity(sensitivity) {
+        const value = AsciiBackground.parseOptionValue('mouseSensitivity', ASCII_BACKGROUND_OPTIONS.mouseSensitivity, sensitivity, false);
+        if (value !== undefined) {
+            this.mouseSensitivity = value;
+        }
+    }
+
+    setInvertY(enabled) {
+        this.invertY = !!enabled;
+    }
+
+    handlePointerLockChange(locked) {
+        this.showHudMessage(locked ? 'MOUSE LOOK - WHEEL FOR THRUST, RIGHT-DRAG TO ROLL' : 'MOUSE RELEASED', locked ? 3500 : 2500);
+        this.needsRender = true;
+    }
+
+    // One-shot keyboard commands from the InputManager
+    runCommand(command) {
+        if (command === 'toggleMouseLook') {
+            this.setMouseLook(!this.input.pointerLocked);
+        } else if (command === 'toggleAsciiPass') {
+            // Compare the ASCII pass against the plain renderer
+            this.setAsciiPassEnabled(!this.asciiPass.enabled);
+        } else if (command === 'copyLocation') {
+            this.copyLocation();
+        }
+    }
+
+    // ==========================================
+    // THEMES
+    // ==========================================
+
+    createThemeToggle() {
+        this.themeToggle = document.createElement('button');
+        this.themeToggle.type = 'button';
+        this.themeToggle.className = 'theme-toggle';
+        this.themeToggle.setAttribute('aria-label', 'Change colour theme');
+        this.themeToggle.addEventListener('click', () => {
+            const next = THEMES[(THEMES.indexOf(this.theme.name) + 1) % THEMES.length];
+            this.setTheme(next, true);
+        });
+        this.themeToggle.textContent = `THEME: ${this.theme.name.toUpperCase()}`;
+        document.body.appendChild(this.themeToggle);
+    }
+
+    getThemePreference() {
+        // A theme picked with the toggle wins over the page's theme option
+        try {
+            const stored = localStorage.getItem(this.themeStorageKey);
+            if (THEMES.includes(stored)) {
+                return stored;
+            }
+        } catch (e) {
+            // Storage unavailable; use the option
+        }
+        return this.options.theme;
+    }
+
+    // Switch the page and the scene to one of THEMES without reloading
+    setTheme(name, remember) {
+        if (!THEMES.includes(name)) {
+            console.warn(`AsciiBackground: theme must be one of ${THEMES.join(', ')}, got "${name}"`);
+            return;
+        }
+
+        if (remember) {
+            try {
+                localStorage.setItem(this.themeStorageKey, name);
+            } catch (e) {
+                // Not persisted, but still applies for this visit
+            }
+        }
+
+        // The stylesheet recolours the page from the attribute; the scene reads the result back
+        document.documentElement.dataset.theme = name;
+        this.applyTheme();
+        if (this.themeToggle) {
+            this.themeToggle.textContent = `THEME: ${name.toUpperCase()}`;
+        }
+        document.dispatchEvent(new CustomEvent('themechange', {
+            detail: { theme: name }
+        }));
+    }
+
+    // Re-read the theme's colours and repaint everything already in the scene with them.
+    // The HUD picks its colours up on the next draw.
+    applyTheme() {
+        this.theme = AsciiBackground.readTheme();
+        this.speedLineColors = this.theme.palette.map(color => AsciiBackground.rgba(color, 0.8));
+
+        this.updateBiome(true);
+        this.updateSkybox();
+        this.recolorParticleField();
+        this.recolorAsciiSprites();
+        this.floatingDebris.forEach(debris => this.recolorDebris(debris));
+        this.recolorSerpents();
+        this.chunks.forEach(chunk => this.recolorChunk(chunk));
+
+        [this.starMeshes.core, this.starMeshes.glow, this.lowPolyMesh, this.spriteMesh]
+            .concat(Object.values(this.debrisMeshes))
+            .forEach(mesh => { mesh.instanceColor.needsUpdate = true; });
+        this.needsRender = true;
+    }
+
+    // Palette and sunset a biome is painted with under the current theme
+    getBiomeColors(biome) {
+        if (this.theme.biomeColors) return biome;
+        return { palette: this.theme.palette.slice(0, 3), sunset: this.theme.sunset };
+    }
+
+    // Multiplier for ambient animation (drift, tumbling, particle rotation)
+    getAmbientTimeScale() {
+        if (!this.reducedMotion) return 1;
+        return this.reducedMotionMode === 'static' ? 0 : this.reducedMotionTimeScale;
+    }
+
+    // In static reduced-motion mode, only redraw when something actually changed
+    shouldRender() {
+        if (!this.reducedMotion || this.reducedMotionMode !== 'static') return true;
+
+        return this.needsRender || this.hudMessage !== null ||
+            !this.camera.position.equals(this.lastRenderedPosition) ||
+            !this.camera.quaternion.equals(this.lastRenderedQuaternion);
+    }
+
     drawHUD() {
         const ctx = this.hudContext;
         const width = this.hudCanvas.width;
@@ -147,19 +1074,20 @@ class AsciiBackground {
         // Clear canvas
         ctx.clearRect(0, 0, width, height);
 
-        // Update and draw speed lines first (behind everything else)
-        this.updateSpeedLines(width, height);
+        // Draw speed lines first (behind everything else); they advance in simulate()
         this.drawSpeedLines(ctx, width, height);
 
-        // Vaporwave sunset gradient at bottom
+        // Vaporwave sunset gradient at bottom, coloured by the current biome
+        // (Aether Drift: washed purple, blue, pink, gold, orange-gold)
         const sunsetHeight = height * 0.35;
         const gradient = ctx.createLinearGradient(0, height - sunsetHeight, 0, height);
-        gradient.addColorStop(0, 'rgba(157, 78, 221, 0)'); // Transparent purple
-        gradient.addColorStop(0.3, 'rgba(157, 78, 221, 0.15)'); // Washed purple
-        gradient.addColorStop(0.5, 'rgba(91, 127, 255, 0.2)'); // Blue
-        gradient.addColorStop(0.7, 'rgba(255, 100, 150, 0.25)'); // Pink
-        gradient.addColorStop(0.9, 'rgba(255, 215, 0, 0.3)'); // Gold
-        gradient.addColorStop(1, 'rgba(255, 150, 0, 0.35)'); // Orange-gold
+        const sunset = this.biome.sunset.map(stop => stop.map(Math.round).join(', '));
+        gradient.addColorStop(0, `rgba(${sunset[0]}, 0)`); // Transparent
+        gradient.addColorStop(0.3, `rgba(${sunset[0]}, 0.15)`);
+        gradient.addColorStop(0.5, `rgba(${sunset[1]}, 0.2)`);
+        gradient.addColorStop(0.7, `rgba(${sunset[2]}, 0.25)`);
+        gradient.addColorStop(0.9, `rgba(${sunset[3]}, 0.3)`);
+        gradient.addColorStop(1, `rgba(${sunset[4]}, 0.35)`);
 
         ctx.fillStyle = gradient;
         ctx.fillRect(0, height - sunsetHeight, width, sunsetHeight);
@@ -169,10 +1097,13 @@ class AsciiBackground {
 
         // Draw corner accents
         this.drawCornerAccents(ctx, width, height);
+
+        // Draw confirmation messages on top
+        this.drawHudMessage(ctx, width, height);
     }
 
     drawPerspectiveGrid(ctx, width, height) {
-        ctx.strokeStyle = 'rgba(0, 229, 255, 0.3)'; // Cyan
+        const { primary, secondary } = this.theme; // Purple and cyan under vaporwave
         ctx.lineWidth = 1;
 
         const gridBottom = height;
@@ -187,7 +1118,7 @@ class AsciiBackground {
             const t = i / numHorizontalLines;
             const y = gridTop + (gridBottom - gridTop) * (t * t); // Quadratic for perspective
             const alpha = 0.15 + (1 - t) * 0.25;
-            ctx.strokeStyle = `rgba(0, 229, 255, ${alpha})`;
+            ctx.strokeStyle = AsciiBackground.rgba(secondary, alpha);
             ctx.beginPath();
             ctx.moveTo(0, y);
             ctx.lineTo(width, y);
@@ -200,7 +1131,7 @@ class AsciiBackground {
             const t = (i / numVerticalLines - 0.5) * 2; // -1 to 1
             const bottomX = vanishingPointX + t * width * 1.2; // Extended to screen edges and beyond
             const alpha = 0.1 + (1 - Math.abs(t)) * 0.2;
-            ctx.strokeStyle = `rgba(157, 78, 221, ${alpha})`; // Purple
+            ctx.strokeStyle = AsciiBackground.rgba(primary, alpha);
             ctx.beginPath();
             ctx.moveTo(vanishingPointX, vanishingPointY);
             ctx.lineTo(bottomX, gridBottom);
@@ -212,7 +1143,8 @@ class AsciiBackground {
         const cornerSize = 40;
         const cornerThickness = 2;
 
-        ctx.strokeStyle = 'rgba(255, 215, 0, 0.6)'; // Gold
+        const theme = this.theme;
+        ctx.strokeStyle = AsciiBackground.rgba(theme.highlight, 0.6);
         ctx.lineWidth = cornerThickness;
 
         // Top-left
@@ -231,21 +1163,40 @@ class AsciiBackground {
 
         // Draw simple stats (optional, subtle)
         ctx.font = '12px monospace';
-        ctx.fillStyle = 'rgba(179, 157, 219, 0.5)'; // Washed purple
+        ctx.fillStyle = AsciiBackground.rgba(theme.muted, 0.5);
         const x = this.camera.position.x.toFixed(0);
         const y = this.camera.position.y.toFixed(0);
         const z = this.camera.position.z.toFixed(0);
         ctx.fillText(`XYZ: ${x}, ${y}, ${z}`, 30, height - 30);
+        ctx.fillText(`SEED: ${this.seed}`, 30, height - 48);
+        ctx.fillText(`REGION: ${this.biome.name.toUpperCase()}`, 30, height - 66);
+
+        if (this.debug) {
+            const mode = this.qualityOverride === 'auto' ? 'AUTO' : 'FIXED';
+            const frameTime = this.qualityStats.averageFrameTime;
+            ctx.fillStyle = AsciiBackground.rgba(theme.secondary, 0.7);
+            ctx.fillText(`QUALITY: ${this.qualityTier.name.toUpperCase()} (${mode})`, 30, 80);
+            ctx.fillText(`FRAME: ${frameTime ? frameTime.toFixed(1) + 'ms' : '--'}`, 30, 96);
+            ctx.fillText(`LIGHTS: ${this.lightPool.length}  SHADERS: ${this.renderer.info.programs.length}`, 30, 112);
+            ctx.fillStyle = AsciiBackground.rgba(theme.muted, 0.5);
+        }
 
         if (this.autoPilot) {
-            ctx.fillStyle = 'rgba(0, 229, 255, 0.7)'; // Cyan
+            ctx.fillStyle = AsciiBackground.rgba(theme.secondary, 0.7);
             ctx.fillText('AUTO-PILOT', width - 120, height - 30);
         }
+        if (this.input.flightMode) {
+            ctx.fillStyle = AsciiBackground.rgba(theme.secondary, 0.7);
+            ctx.fillText(this.input.pointerLocked ? 'MOUSE LOOK' : 'FLIGHT MODE', width - 120, height - 48);
+            if (this.input.pointerLocked) {
+                ctx.fillText(`THRUST: ${Math.round(this.input.throttle * 100)}%`, width - 120, height - 66);
+            }
+        }
 
         // Draw speed indicator
         const speed = this.velocity.length();
         if (speed > 0.05) {
-            ctx.fillStyle = 'rgba(179, 157, 219, 0.5)';
+            ctx.fillStyle = AsciiBackground.rgba(theme.muted, 0.5);
             ctx.fillText(`SPEED: ${(speed * 100).toFixed(0)}`, width - 150, 50);
         }
 
@@ -255,13 +1206,10 @@ class AsciiBackground {
 
     drawAutoPilotCountdown(ctx, width, height) {
         // Only show countdown when not in auto-pilot and idle
-        if (this.autoPilot) return;
+        if (this.autoPilot || this.reducedMotion) return;
 
         // Don't show if any movement keys are currently pressed
-        const anyKeyPressed = this.keys.w || this.keys.a || this.keys.s || this.keys.d ||
-                              this.keys.ArrowUp || this.keys.ArrowDown ||
-                              this.keys.ArrowLeft || this.keys.ArrowRight;
-        if (anyKeyPressed) return;
+        if (this.input.isSteering()) return;
 
         const now = Date.now();
         const timeSinceIdle = now - this.idleTimer;
@@ -279,20 +1227,21 @@ class AsciiBackground {
         // Progress from 0 to 1 over the threshold time
         const progress = timeSinceIdle / this.idleThreshold;
 
-        // Color transitions: Purple -> Cyan -> Blue -> Gold
+        // Color transitions through the theme palette: Purple -> Cyan -> Blue -> Gold under vaporwave
+        const [primary, secondary, tertiary, highlight] = this.theme.palette.map(AsciiBackground.hexToRgb);
         let color;
         if (progress < 0.33) {
             // Purple to Cyan
             const t = progress / 0.33;
-            color = this.lerpColor([157, 78, 221], [0, 229, 255], t);
+            color = this.lerpColor(primary, secondary, t);
         } else if (progress < 0.66) {
             // Cyan to Blue
             const t = (progress - 0.33) / 0.33;
-            color = this.lerpColor([0, 229, 255], [91, 127, 255], t);
+            color = this.lerpColor(secondary, tertiary, t);
         } else {
             // Blue to Gold
             const t = (progress - 0.66) / 0.34;
-            color = this.lerpColor([91, 127, 255], [255, 215, 0], t);
+            color = this.lerpColor(tertiary, highlight, t);
         }
 
         // Draw circular countdown in middle-right, just above horizon
@@ -333,7 +1282,7 @@ class AsciiBackground {
 
         // Draw label below
         ctx.shadowBlur = 0;
-        ctx.fillStyle = 'rgba(179, 157, 219, 0.6)';
+        ctx.fillStyle = AsciiBackground.rgba(this.theme.muted, 0.6);
         ctx.font = '10px monospace';
         ctx.fillText('AUTO-PILOT', centerX, centerY + radius + 15);
 
@@ -341,6 +1290,33 @@ class AsciiBackground {
         ctx.shadowBlur = 0;
     }
 
+    showHudMessage(text, duration = 2500) {
+        this.hudMessage = { text, startTime: Date.now(), duration };
+    }
+
+    drawHudMessage(ctx, width, height) {
+        if (!this.hudMessage) return;
+
+        const age = Date.now() - this.hudMessage.startTime;
+        if (age > this.hudMessage.duration) {
+            this.hudMessage = null;
+            return;
+        }
+
+        // Hold, then fade out over the last 500ms
+        const alpha = Math.min(1, (this.hudMessage.duration - age) / 500);
+
+        ctx.save();
+        ctx.font = 'bold 16px monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.shadowBlur = 10;
+        ctx.shadowColor = AsciiBackground.rgba(this.theme.secondary, alpha);
+        ctx.fillStyle = AsciiBackground.rgba(this.theme.secondary, alpha);
+        ctx.fillText(this.hudMessage.text, width / 2, height - 60);
+        ctx.restore();
+    }
+
     lerpColor(color1, color2, t) {
         // Linear interpolation between two RGB colors
         return [
@@ -726,329 +1702,1419 @@ class AsciiBackground {
         ctx.shadowBlur = 0;
     }
 
-    createEnvironmentMap() {
-        // Create a simple cube texture for reflections
-        const size = 512;
-        const canvas = document.createElement('canvas');
-        canvas.width = size;
-        canvas.height = size;
-        const context = canvas.getContext('2d');
+    createAsciiPass() {
+        const pass = this.asciiPass;
 
-        // Create a gradient background (simulating space with stars)
-        const gradient = context.createRadialGradient(size/2, size/2, 0, size/2, size/2, size/2);
-        gradient.addColorStop(0, '#0a1a2a');
-        gradient.addColorStop(0.5, '#050510');
-        gradient.addColorStop(1, '#000000');
-        context.fillStyle = gradient;
-        context.fillRect(0, 0, size, size);
+        // Offscreen target the scene is rendered into before being converted to glyphs
+        const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+        pass.target = new THREE.WebGLRenderTarget(size.x, size.y, {
+            minFilter: THREE.LinearFilter,
+            magFilter: THREE.LinearFilter,
+            format: THREE.RGBAFormat
+        });
 
-        // Add some stars
-        context.fillStyle = '#ffffff';
-        for (let i = 0; i < 200; i++) {
-            const x = Math.random() * size;
-            const y = Math.random() * size;
-            const radius = Math.random() * 1.5;
-            context.beginPath();
-            context.arc(x, y, radius, 0, Math.PI * 2);
-            context.fill();
-        }
-
-        // Create texture from canvas
-        const texture = new THREE.CanvasTexture(canvas);
-        texture.mapping = THREE.EquirectangularReflectionMapping;
-        this.envMap = texture;
-        this.scene.environment = this.envMap;
-    }
+        pass.material = new THREE.ShaderMaterial({
+            uniforms: {
+                tScene: { value: pass.target.texture },
+                tGlyphs: { value: null },
+                glyphCount: { value: 1 },
+                resolution: { value: new THREE.Vector2(size.x, size.y) },
+                cellSize: { value: pass.cellSize * this.renderer.getPixelRatio() },
+                colorMode: { value: pass.colorMode === 'mono' ? 0 : 1 },
+                monoColor: { value: new THREE.Color(pass.monoColor) },
+                backgroundColor: { value: new THREE.Color(0x0a0a0a) }
+            },
+            vertexShader: `
+                varying vec2 vUv;
+
+                void main() {
+                    vUv = uv;
+                    gl_Position = vec4(position.xy, 0.0, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform sampler2D tScene;
+                uniform sampler2D tGlyphs;
+                uniform float glyphCount;
+                uniform vec2 resolution;
+                uniform float cellSize;
+                uniform int colorMode;
+                uniform vec3 monoColor;
+                uniform vec3 backgroundColor;
+
+                varying vec2 vUv;
+
+                void main() {
+                    // Sample the scene once per cell, at the cell centre
+                    vec2 fragCoord = vUv * resolution;
+                    vec2 cell = floor(fragCoord / cellSize);
+                    vec2 cellCenter = (cell + 0.5) * cellSize / resolution;
+                    vec3 sceneColor = texture2D(tScene, cellCenter).rgb;
+
+                    // Brighter cells pick denser glyphs from the ramp
+                    float luma = dot(sceneColor, vec3(0.299, 0.587, 0.114));
+                    float glyphIndex = min(floor(luma * glyphCount), glyphCount - 1.0);
+
+                    vec2 local = fract(fragCoord / cellSize);
+                    vec2 glyphUv = vec2((glyphIndex + local.x) / glyphCount, local.y);
+                    float ink = texture2D(tGlyphs, glyphUv).r;
+
+                    // Sampled colour keeps the hue at full strength; density carries the brightness
+                    vec3 tint = monoColor;
+                    if (colorMode == 1) {
+                        float peak = max(max(sceneColor.r, sceneColor.g), sceneColor.b);
+                        tint = peak > 0.0 ? sceneColor / peak : vec3(0.0);
+                    }
 
-    createParticleField() {
-        const particleCount = 1500;
-        const geometry = new THREE.BufferGeometry();
-        const positions = new Float32Array(particleCount * 3);
-        const colors = new Float32Array(particleCount * 3);
+                    gl_FragColor = vec4(mix(backgroundColor, tint, ink), 1.0);
+                }
+            `,
+            depthTest: false,
+            depthWrite: false,
+            toneMapped: false
+        });
 
-        const purpleColor = new THREE.Color(0x9d4edd);
-        const cyanColor = new THREE.Color(0x00e5ff);
-        const blueColor = new THREE.Color(0x5b7fff);
-        const goldColor = new THREE.Color(0xffd700);
+        pass.scene = new THREE.Scene();
+        pass.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        pass.scene.add(new THREE.Mesh(new THREE.PlaneGeometry(2, 2), pass.material));
 
-        const colorPalette = [purpleColor, cyanColor, blueColor, goldColor];
+        this.updateAsciiGlyphTexture();
+    }
 
-        for (let i = 0; i < particleCount; i++) {
-            // Random positions in a larger space
-            positions[i * 3] = (Math.random() - 0.5) * 300;
-            positions[i * 3 + 1] = (Math.random() - 0.5) * 300;
-            positions[i * 3 + 2] = (Math.random() - 0.5) * 300;
+    updateAsciiGlyphTexture() {
+        const pass = this.asciiPass;
+        if (!pass.material) return;
+
+        // Draw the ramp as a single row of white glyphs on black
+        const glyphs = this.sortGlyphsByCoverage(Array.from(pass.ramp));
+        const glyphSize = 32;
+        const canvas = document.createElement('canvas');
+        canvas.width = glyphSize * glyphs.length;
+        canvas.height = glyphSize;
+        const context = canvas.getContext('2d');
+
+        context.fillStyle = '#000000';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.font = `Bold ${glyphSize * 0.85}px monospace`;
+        context.fillStyle = '#ffffff';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        glyphs.forEach((char, i) => {
+            context.fillText(char, i * glyphSize + glyphSize / 2, glyphSize / 2);
+        });
 
-            // Random colors from palette
-            const color = colorPalette[Math.floor(Math.random() * colorPalette.length)];
-            colors[i * 3] = color.r;
-            colors[i * 3 + 1] = color.g;
-            colors[i * 3 + 2] = color.b;
+        if (pass.glyphTexture) {
+            pass.glyphTexture.dispose();
         }
+        pass.glyphTexture = new THREE.CanvasTexture(canvas);
+        pass.glyphTexture.minFilter = THREE.LinearFilter;
+        pass.glyphTexture.generateMipmaps = false;
 
-        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        pass.material.uniforms.tGlyphs.value = pass.glyphTexture;
+        pass.material.uniforms.glyphCount.value = glyphs.length;
+    }
 
-        const material = new THREE.PointsMaterial({
-            size: 1.5,
-            vertexColors: true,
-            transparent: true,
-            opacity: 0.6,
-            blending: THREE.AdditiveBlending
+    sortGlyphsByCoverage(glyphs) {
+        // Measure how much ink each glyph puts down so any custom ramp runs dark to bright
+        const size = 32;
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const context = canvas.getContext('2d');
+        context.font = `Bold ${size * 0.85}px monospace`;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+
+        const coverage = new Map();
+        glyphs.forEach(char => {
+            context.clearRect(0, 0, size, size);
+            context.fillText(char, size / 2, size / 2);
+            const pixels = context.getImageData(0, 0, size, size).data;
+            let ink = 0;
+            for (let i = 3; i < pixels.length; i += 4) {
+                ink += pixels[i];
+            }
+            coverage.set(char, ink);
         });
 
-        this.particleField = new THREE.Points(geometry, material);
-        this.scene.add(this.particleField);
+        // Stable sort keeps the given order for glyphs with equal coverage
+        return glyphs
+            .map((char, index) => ({ char, index }))
+            .sort((a, b) => (coverage.get(a.char) - coverage.get(b.char)) || (a.index - b.index))
+            .map(entry => entry.char);
     }
 
-    // Seeded random function for consistent generation
-    seededRandom(x, y, z) {
-        const seed = x * 374761393 + y * 668265263 + z * 1274126177;
-        const t = Math.sin(seed) * 43758.5453;
-        return t - Math.floor(t);
-    }
+    resizeAsciiPass() {
+        const pass = this.asciiPass;
+        if (!pass.target) return;
 
-    // Get grid position for a world position
-    getGridPosition(worldPos) {
-        return {
-            x: Math.round(worldPos.x / this.gridSize),
-            y: Math.round(worldPos.y / this.gridSize),
-            z: Math.round(worldPos.z / this.gridSize)
-        };
+        const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+        pass.target.setSize(size.x, size.y);
+        pass.material.uniforms.resolution.value.set(size.x, size.y);
+        pass.material.uniforms.cellSize.value = pass.cellSize * this.renderer.getPixelRatio();
     }
 
-    // Convert grid position to world position
-    gridToWorld(gridPos) {
-        return {
-            x: gridPos.x * this.gridSize + (this.seededRandom(gridPos.x, gridPos.y, gridPos.z) - 0.5) * 20,
-            y: gridPos.y * this.gridSize + (this.seededRandom(gridPos.y, gridPos.z, gridPos.x) - 0.5) * 20,
-            z: gridPos.z * this.gridSize + (this.seededRandom(gridPos.z, gridPos.x, gridPos.y) - 0.5) * 20
-        };
+    setAsciiPassEnabled(enabled) {
+        this.asciiPass.enabled = !!enabled;
+        this.needsRender = true;
+        if (this.asciiPass.enabled && !this.asciiPass.material) {
+            this.createAsciiPass();
+        }
     }
 
-    // Check if this grid position should have an aetheryte
-    shouldHaveAetheryte(gridPos) {
-        return this.seededRandom(gridPos.x, gridPos.y, gridPos.z) < this.aetheryteChance;
+    setAsciiCellSize(cellSize) {
+        const value = AsciiBackground.parseOptionValue('asciiCellSize', ASCII_BACKGROUND_OPTIONS.asciiCellSize, cellSize, false);
+        if (value === undefined) return;
+        this.asciiPass.cellSize = value;
+        this.resizeAsciiPass();
+        this.needsRender = true;
     }
 
-    // Create a distant star representation
-    createDistantStar(position) {
-        // Random star color from palette
-        const colors = [0x9d4edd, 0x00e5ff, 0x5b7fff]; // Purple, cyan, blue
-        const coreColor = colors[Math.floor(Math.random() * colors.length)];
+    setAsciiRamp(ramp) {
+        if (!ramp || Array.from(ramp).length < 2) return;
+        this.asciiPass.ramp = ramp;
+        this.updateAsciiGlyphTexture();
+        this.needsRender = true;
+    }
 
-        const starGeometry = new THREE.SphereGeometry(1.8, 8, 8);
-        const starMaterial = new THREE.MeshBasicMaterial({
-            color: coreColor,
+    setAsciiColorMode(colorMode) {
+        const value = AsciiBackground.parseOptionValue('asciiColorMode', ASCII_BACKGROUND_OPTIONS.asciiColorMode, colorMode, false);
+        if (value === undefined) return;
+        this.asciiPass.colorMode = value;
+        if (this.asciiPass.material) {
+            this.asciiPass.material.uniforms.colorMode.value = this.asciiPass.colorMode === 'mono' ? 0 : 1;
+        }
+        this.needsRender = true;
+    }
+
+    getInitialQualityIndex() {
+        if (this.qualityOverride !== 'auto') {
+            return QUALITY_TIERS.findIndex(tier => tier.name === this.qualityOverride);
+        }
+        // Phones and tablets start lower and climb if they have headroom
+        const coarsePointer = window.matchMedia && window.matchMedia('(pointer: coarse)').matches;
+        return coarsePointer ? 2 : 0;
+    }
+
+    applyQualityTier(index) {
+        this.qualityIndex = index;
+        this.qualityTier = QUALITY_TIERS[index];
+        const tier = this.qualityTier;
+
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, tier.maxPixelRatio));
+        this.resizeAsciiPass();
+        this.needsRender = true;
+
+        this.maxSpeedLines = Math.round(this.options.maxSpeedLines * tier.speedLineScale);
+        this.debrisCount = Math.round(this.options.debrisCount * tier.debrisScale);
+        this.minDebrisCount = Math.round(this.options.minDebrisCount * tier.debrisScale);
+
+        // Resizing the light pool recompiles lit materials once, which is fine on a tier change
+        // but never happens as crystals stream in
+        this.resizeLightPool(tier.lightBudget);
+
+        // Debris shards share one material, so swap it when the material type changes
+        if (this.debrisMeshes && !!this.debrisMeshes.shard.material.isMeshPhysicalMaterial !== tier.physicalMaterials) {
+            this.refreshShardMaterial();
+        }
+
+        // Loaded aetherytes too: a downgrade for slow frames has to drop the glass on screen now
+        this.refreshCrystalMaterials();
+    }
+
+    // Pin a tier by name, or pass 'auto' to hand control back to the governor
+    setQualityTier(name) {
+        if (name === 'auto') {
+            this.qualityOverride = 'auto';
+            return;
+        }
+
+        const index = QUALITY_TIERS.findIndex(tier => tier.name === name);
+        if (index === -1) {
+            console.warn(`AsciiBackground: unknown quality tier "${name}"`);
+            return;
+        }
+        this.qualityOverride = name;
+        this.applyQualityTier(index);
+    }
+
+    setDebug(enabled) {
+        this.debug = !!enabled;
+    }
+
+    updateQualityGovernor(frameTime) {
+        const stats = this.qualityStats;
+        stats.frames++;
+        stats.totalTime += frameTime;
+        if (stats.totalTime < this.qualitySampleWindow) return;
+
+        stats.averageFrameTime = stats.totalTime / stats.frames;
+        stats.frames = 0;
+        stats.totalTime = 0;
+
+        if (this.qualityOverride !== 'auto') return;
+
+        const now = performance.now();
+        const lastIndex = QUALITY_TIERS.length - 1;
+
+        if (stats.averageFrameTime > this.qualityDowngradeFrameTime && this.qualityIndex < lastIndex) {
+            stats.goodWindows = 0;
+            stats.lastDowngrade = now;
+            this.applyQualityTier(this.qualityIndex + 1);
+        } else if (stats.averageFrameTime < this.qualityUpgradeFrameTime && this.qualityIndex > 0) {
+            // Require sustained headroom so we don't bounce between tiers
+            stats.goodWindows++;
+            if (stats.goodWindows >= this.qualityUpgradeWindows &&
+                now - stats.lastDowngrade > this.qualityUpgradeCooldown) {
+                stats.goodWindows = 0;
+                this.applyQualityTier(this.qualityIndex - 1);
+            }
+        } else {
+            stats.goodWindows = 0;
+        }
+    }
+
+    // Physical glass on higher tiers, a cheaper standard material otherwise
+    // The parameters are kept on the material so refreshCrystalMaterials can rebuild it.
+    createCrystalMaterial(parameters) {
+        let material;
+        if (this.qualityTier.physicalMaterials) {
+            material = new THREE.MeshPhysicalMaterial(parameters);
+        } else {
+            const { transmission, clearcoat, clearcoatRoughness, ...standardParameters } = parameters;
+            material = new THREE.MeshStandardMaterial(standardParameters);
+        }
+        material.userData.crystalParameters = parameters;
+        return material;
+    }
+
+    // Rebuild the shared shard material for the current tier and environment map
+    refreshShardMaterial() {
+        if (!this.debrisMeshes) return;
+        const shard = this.debrisMeshes.shard;
+        shard.material.dispose();
+        shard.material = this.createShardMaterial();
+    }
+
+    // Rebuild the crystal materials of loaded landmarks whose type no longer matches the tier,
+    // carrying over the opacity and glow they are animating with
+    refreshCrystalMaterials() {
+        if (!this.loadedLandmarks) return;
+        const physical = this.qualityTier.physicalMaterials;
+
+        this.loadedLandmarks.forEach(object => {
+            object.traverse(child => {
+                const previous = child.material;
+                if (!child.isMesh || !previous || !previous.userData.crystalParameters) return;
+                if (!!previous.isMeshPhysicalMaterial === physical) return;
+
+                const material = this.createCrystalMaterial(previous.userData.crystalParameters);
+                material.opacity = previous.opacity;
+                material.emissiveIntensity = previous.emissiveIntensity;
+                child.material = material;
+                ['glowMaterials', 'fadeMaterials'].forEach(list => {
+                    (object.userData[list] || []).forEach(entry => {
+                        if (entry.material === previous) entry.material = material;
+                    });
+                });
+                previous.dispose();
+            });
+        });
+        this.needsRender = true;
+    }
+
+    // The scene always holds exactly lightBudget point lights, so the light count baked into
+    // every lit material never changes as crystals come and go
+    resizeLightPool(count) {
+        while (this.lightPool.length > count) {
+            this.scene.remove(this.lightPool.pop());
+        }
+        while (this.lightPool.length < count) {
+            const light = new THREE.PointLight(0xFFFFFF, 0, 60);
+            light.castShadow = false;
+            this.lightPool.push(light);
+            this.scene.add(light);
+        }
+    }
+
+    // Hand the pooled lights to the crystals that matter most: visible ones before hidden ones,
+    // nearest first. Every ranked crystal gets its core light before any gets its gold one.
+    // Crystals left without a light glow brighter through their emissive materials instead.
+    updateLightPool() {
+        const crystals = Array.from(this.loadedLandmarks.values()).filter(object => object.userData.lights);
+        const ranked = crystals.map(crystal => {
+            const distance = this.camera.position.distanceTo(crystal.position);
+            const score = this.isInViewFrustum(crystal.position) ? distance : distance + this.renderDistance;
+            return { crystal, score };
+        }).sort((a, b) => a.score - b.score);
+
+        const assignments = [];
+        [0, 1].forEach(lightIndex => {
+            ranked.forEach(({ crystal }) => assignments.push({ crystal, spec: crystal.userData.lights[lightIndex] }));
+        });
+
+        const lit = new Set();
+        this.lightPool.forEach((light, i) => {
+            const assignment = assignments[i];
+            if (!assignment) {
+                light.intensity = 0;
+                return;
+            }
+            const { crystal, spec } = assignment;
+            light.color.setHex(spec.color);
+            light.distance = spec.distance;
+            light.position.copy(crystal.position);
+            light.intensity = spec.intensity * crystal.userData.fade * crystal.userData.lit;
+            lit.add(crystal);
+        });
+
+        // Ease between real and emissive-faked light so handing a light over doesn't pop
+        crystals.forEach(crystal => {
+            const target = lit.has(crystal) ? 1 : 0;
+            crystal.userData.lit += (target - crystal.userData.lit) * 0.1;
+            const unlit = 1 - crystal.userData.lit;
+            crystal.userData.glowMaterials.forEach(({ material, base, boost }) => {
+                material.emissiveIntensity = base + boost * unlit;
+            });
+        });
+    }
+
+    renderScene() {
+        const pass = this.asciiPass;
+
+        // Tile the starfield around the camera as drawn this frame (interpolated between steps)
+        this.particleWrap.wrapCamera.value.copy(this.camera.position);
+
+        if (!pass.enabled || !pass.material) {
+            this.renderer.render(this.scene, this.camera);
+            return;
+        }
+
+        // Render the scene offscreen, then draw it to the canvas as glyph cells
+        this.renderer.setRenderTarget(pass.target);
+        this.renderer.render(this.scene, this.camera);
+        this.renderer.setRenderTarget(null);
+        this.renderer.render(pass.scene, pass.camera);
+    }
+
+    // Seeded procedural sky: a shader draws nebula noise, three star layers and a horizon glow in the
+    // biome's sunset colours into a cube render target. The cube is the visible background, and a
+    // PMREM-filtered copy lights the physical materials through scene.environment.
+    createEnvironmentMap() {
+        if (!this.skybox) {
+            const target = new THREE.WebGLCubeRenderTarget(this.skyboxSize, {
+                generateMipmaps: false,
+                minFilter: THREE.LinearFilter,
+                magFilter: THREE.LinearFilter
+            });
+            const material = new THREE.ShaderMaterial({
+                uniforms: {
+                    seedOffset: { value: new THREE.Vector3() },
+                    nebulaColors: { value: [0, 1, 2].map(() => new THREE.Color()) },
+                    horizonColors: { value: [0, 1, 2, 3, 4].map(() => new THREE.Color()) }
+                },
+                vertexShader: `
+                    varying vec3 vDirection;
+
+                    void main() {
+                        vDirection = position; // The sky sphere sits on the cube camera
+                        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                    }
+                `,
+                fragmentShader: `
+                    uniform vec3 seedOffset;
+                    uniform vec3 nebulaColors[3];
+                    uniform vec3 horizonColors[5];
+                    varying vec3 vDirection;
+
+                    float hash(vec3 p) {
+                        p = fract(p * 0.3183099 + 0.1);
+                        p *= 17.0;
+                        return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
+                    }
+
+                    float noise(vec3 x) {
+                        vec3 i = floor(x);
+                        vec3 f = fract(x);
+                        f = f * f * (3.0 - 2.0 * f);
+                        return mix(
+                            mix(mix(hash(i), hash(i + vec3(1.0, 0.0, 0.0)), f.x),
+                                mix(hash(i + vec3(0.0, 1.0, 0.0)), hash(i + vec3(1.0, 1.0, 0.0)), f.x), f.y),
+                            mix(mix(hash(i + vec3(0.0, 0.0, 1.0)), hash(i + vec3(1.0, 0.0, 1.0)), f.x),
+                                mix(hash(i + vec3(0.0, 1.0, 1.0)), hash(i + vec3(1.0, 1.0, 1.0)), f.x), f.y),
+                            f.z
+                        );
+                    }
+
+                    float fbm(vec3 p) {
+                        float value = 0.0;
+                        float amplitude = 0.5;
+                        for (int i = 0; i < 5; i++) {
+                            value += amplitude * noise(p);
+                            p *= 2.03;
+                            amplitude *= 0.5;
+                        }
+                        return value;
+                    }
+
+                    // One star per lattice cell the sky sphere passes through, if the cell's hash clears the threshold
+                    float stars(vec3 direction, float scale, float threshold) {
+                        vec3 p = direction * scale + seedOffset;
+                        vec3 cell = floor(p);
+                        float h = hash(cell);
+                        if (h < threshold) return 0.0;
+                        vec3 jitter = vec3(hash(cell + 7.1), hash(cell + 3.3), hash(cell + 5.7)) - 0.5;
+                        float d = length(p - (cell + 0.5 + jitter * 0.6));
+                        return (1.0 - smoothstep(0.0, 0.15, d)) * (h - threshold) / (1.0 - threshold);
+                    }
+
+                    // The HUD's sunset gradient, from its top stop down to its bottom one
+                    vec3 sunset(float t) {
+                        float x = clamp(t, 0.0, 1.0) * 4.0;
+                        vec3 color = horizonColors[0];
+                        for (int i = 0; i < 4; i++) {
+                            color = mix(color, horizonColors[i + 1], clamp(x - float(i), 0.0, 1.0));
+                        }
+                        return color;
+                    }
+
+                    void main() {
+                        vec3 direction = normalize(vDirection);
+                        vec3 color = vec3(0.039); // The old clear colour, 0x0a0a0a
+
+                        // Two octaves of fbm pick where the clouds are and how their colours mix
+                        float cloud = fbm(direction * 2.5 + seedOffset);
+                        float tint = fbm(direction * 5.0 + seedOffset.zxy);
+                        vec3 nebula = mix(nebulaColors[0], nebulaColors[1], tint);
+                        nebula = mix(nebula, nebulaColors[2], smoothstep(0.45, 0.75, cloud * tint * 2.0));
+                        color += nebula * pow(smoothstep(0.42, 0.85, cloud), 2.0) * 0.35;
+
+                        // Glow rising from below the horizon
+                        float glow = 1.0 - smoothstep(-0.25, 0.35, direction.y);
+                        color += sunset(0.5 - direction.y * 1.5) * glow * glow * 0.3;
+
+                        // Sparse bright stars over denser faint ones
+                        color += vec3(stars(direction, 60.0, 0.93)) * 0.9;
+                        color += vec3(stars(direction, 140.0, 0.95)) * 0.55;
+                        color += vec3(stars(direction, 300.0, 0.97)) * 0.35;
+
+                        gl_FragColor = vec4(color, 1.0);
+                    }
+                `,
+                side: THREE.BackSide,
+                depthWrite: false
+            });
+
+            const scene = new THREE.Scene();
+            scene.add(new THREE.Mesh(new THREE.SphereGeometry(5, 32, 16), material));
+
+            this.skybox = {
+                target,
+                material,
+                scene,
+                camera: new THREE.CubeCamera(0.1, 10, target),
+                pmrem: new THREE.PMREMGenerator(this.renderer),
+                envTarget: null, // PMREM output, replaced on every bake
+                baked: null, // Biome sky colours at the last bake
+                bakedAt: 0 // Simulation step of the last bake
+            };
+            this.skybox.pmrem.compileCubemapShader();
+        }
+
+        // A new seed moves the noise and stars
+        const random = this.createRandom('skybox');
+        this.skybox.material.uniforms.seedOffset.value.set(random() * 100, random() * 100, random() * 100);
+        this.updateSkybox();
+    }
+
+    // Render the sky cube with the current biome colours and refilter it for reflections
+    updateSkybox() {
+        const skybox = this.skybox;
+        const uniforms = skybox.material.uniforms;
+        this.biome.nebula.forEach((color, i) => uniforms.nebulaColors.value[i].copy(color));
+        this.biome.sunset.forEach((stop, i) => uniforms.horizonColors.value[i].setRGB(stop[0] / 255, stop[1] / 255, stop[2] / 255));
+
+        skybox.camera.update(this.renderer, skybox.scene);
+        const envTarget = skybox.pmrem.fromCubemap(skybox.target.texture);
+        if (skybox.envTarget) {
+            skybox.envTarget.dispose();
+        }
+        skybox.envTarget = envTarget;
+        skybox.bakedAt = this.frameCount;
+        skybox.baked = {
+            sunset: this.biome.sunset.map(stop => stop.slice()),
+            nebula: this.biome.nebula.map(color => color.clone())
+        };
+
+        this.envMap = envTarget.texture;
+        this.scene.environment = this.envMap;
+        this.scene.background = skybox.target.texture;
+        this.needsRender = true;
+    }
+
+    // How far the biome's sky colours have moved since the last bake, in 0-255 channel steps
+    getSkyboxDrift() {
+        const baked = this.skybox.baked;
+        let drift = 0;
+        this.biome.sunset.forEach((stop, i) => {
+            stop.forEach((channel, k) => { drift = Math.max(drift, Math.abs(channel - baked.sunset[i][k])); });
+        });
+        this.biome.nebula.forEach((color, i) => {
+            const bakedColor = baked.nebula[i];
+            drift = Math.max(drift, Math.abs(color.r - bakedColor.r) * 255, Math.abs(color.g - bakedColor.g) * 255, Math.abs(color.b - bakedColor.b) * 255);
+        });
+        return drift;
+    }
+
+    createParticleField() {
+        const particleCount = this.options.particleCount;
+        const geometry = new THREE.BufferGeometry();
+        const positions = new Float32Array(particleCount * 3);
+        const colors = new Float32Array(particleCount * 3);
+        this.particleColorIndices = new Uint8Array(particleCount); // Into the theme palette, kept for recolouring
+        const random = this.createRandom('particles');
+
+        const size = this.particleFieldSize;
+        for (let i = 0; i < particleCount; i++) {
+            // Random positions in one tile of the field - the shader repeats it around the camera
+            positions[i * 3] = (random() - 0.5) * size;
+            positions[i * 3 + 1] = (random() - 0.5) * size;
+            positions[i * 3 + 2] = (random() - 0.5) * size;
+
+            // Random colors from the theme palette
+            this.particleColorIndices[i] = Math.floor(random() * this.theme.palette.length);
+        }
+
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+
+        const material = new THREE.PointsMaterial({
+            size: 1.5,
+            vertexColors: true,
             transparent: true,
-            opacity: 0.75
+            opacity: 0.6,
+            blending: THREE.AdditiveBlending
         });
 
-        const star = new THREE.Mesh(starGeometry, starMaterial);
-        star.position.set(position.x, position.y, position.z);
+        // Wrap every point into the box around the camera, fading points out near its faces
+        // so they don't pop when they jump to the far side
+        material.onBeforeCompile = shader => {
+            Object.assign(shader.uniforms, this.particleWrap);
+            shader.vertexShader = shader.vertexShader
+                .replace('#include <common>', `#include <common>
+                    uniform vec3 wrapCamera;
+                    uniform vec3 wrapDrift;
+                    uniform float wrapSize;
+                    varying float vWrapFade;`)
+                .replace('#include <begin_vertex>', `
+                    vec3 wrapped = mod(position + wrapDrift - wrapCamera + 0.5 * wrapSize, wrapSize) - 0.5 * wrapSize;
+                    float edge = max(max(abs(wrapped.x), abs(wrapped.y)), abs(wrapped.z)) / (0.5 * wrapSize);
+                    vWrapFade = 1.0 - smoothstep(0.8, 1.0, edge);
+                    vec3 transformed = wrapped + wrapCamera;`);
+            shader.fragmentShader = shader.fragmentShader
+                .replace('#include <common>', `#include <common>
+                    varying float vWrapFade;`)
+                .replace('#include <color_fragment>', `#include <color_fragment>
+                    diffuseColor.a *= vWrapFade;`);
+        };
+
+        this.particleField = new THREE.Points(geometry, material);
+        this.particleField.frustumCulled = false; // Drawn around the camera, not where the geometry sits
+        this.scene.add(this.particleField);
+        this.recolorParticleField();
+    }
+
+    // Fill the particle colours in from the theme palette
+    recolorParticleField() {
+        const colors = this.particleField.geometry.attributes.color;
+        this.particleColorIndices.forEach((index, i) => {
+            this.tempColor.setHex(this.theme.palette[index]);
+            colors.setXYZ(i, this.tempColor.r, this.tempColor.g, this.tempColor.b);
+        });
+        colors.needsUpdate = true;
+    }
+
+    // Wrap a coordinate into the window of the given size centred on center
+    static wrapAround(value, center, size) {
+        const offset = (value - center + size / 2) % size;
+        return center + (offset < 0 ? offset + size : offset) - size / 2;
+    }
+
+    // Seeded random value in [0, 1) for a grid cell, consistent for a given world seed
+    seededRandom(x, y, z) {
+        return AsciiNoise.random3(this.seed, x, y, z);
+    }
+
+    // Get grid position for a world position
+    getGridPosition(worldPos) {
+        return {
+            x: Math.round(worldPos.x / this.gridSize),
+            y: Math.round(worldPos.y / this.gridSize),
+            z: Math.round(worldPos.z / this.gridSize)
+        };
+    }
+
+    // Convert grid position to world position, jittered within the cell by its own random stream
+    gridToWorld(gridPos) {
+        const random = this.createRandom('cell-offset', gridPos.x, gridPos.y, gridPos.z);
+        return {
+            x: gridPos.x * this.gridSize + (random() - 0.5) * 20,
+            y: gridPos.y * this.gridSize + (random() - 0.5) * 20,
+            z: gridPos.z * this.gridSize + (random() - 0.5) * 20
+        };
+    }
+
+    // Check if this grid position should have a landmark
+    shouldHaveLandmark(gridPos) {
+        const weights = this.getBiomeWeights(gridPos.x, gridPos.y, gridPos.z);
+        const density = BIOMES.reduce((sum, biome, i) => sum + biome.density * weights[i], 0);
+        const chance = this.aetheryteChance * density;
+        return this.seededRandom(gridPos.x, gridPos.y, gridPos.z) < chance;
+    }
+
+    // Landmark colour for a grid cell, shared by its distant star and every detail level.
+    // Cells where biomes blend pick one of them at random, weighted by the blend.
+    getCellColor(gridPos) {
+        const random = this.createRandom('cell-color', gridPos.x, gridPos.y, gridPos.z);
+        const weights = this.getBiomeWeights(gridPos.x, gridPos.y, gridPos.z);
+        let pick = random();
+        let biome = BIOMES[BIOMES.length - 1];
+        for (let i = 0; i < BIOMES.length; i++) {
+            pick -= weights[i];
+            if (pick < 0) {
+                biome = BIOMES[i];
+                break;
+            }
+        }
+        const palette = this.getBiomeColors(biome).palette;
+        return palette[Math.floor(random() * palette.length)];
+    }
 
-        // Add glow effect (gold) - normalized
-        const glowGeometry = new THREE.SphereGeometry(3.6, 8, 8);
-        const glowMaterial = new THREE.MeshBasicMaterial({
-            color: 0xFFD700,
+    // Palette of the biome that dominates a grid cell
+    getCellPalette(gridPos) {
+        const weights = this.getBiomeWeights(gridPos.x, gridPos.y, gridPos.z);
+        return this.getBiomeColors(BIOMES[weights.indexOf(Math.max(...weights))]).palette;
+    }
+
+    // Landmark type for an occupied grid cell, picked by LANDMARK_TYPES weight
+    pickLandmarkType(gridPos) {
+        const random = this.createRandom('landmark-type', gridPos.x, gridPos.y, gridPos.z);
+        const names = Object.keys(LANDMARK_TYPES);
+        const total = names.reduce((sum, name) => sum + LANDMARK_TYPES[name].weight, 0);
+        let pick = random() * total;
+        for (let i = 0; i < names.length; i++) {
+            pick -= LANDMARK_TYPES[names[i]].weight;
+            if (pick < 0) return names[i];
+        }
+        return names[names.length - 1];
+    }
+
+    // ==========================================
+    // BIOMES
+    // ==========================================
+
+    // Blend weights over BIOMES at a point in grid units. Noise picks a position along the list,
+    // and neighbouring biomes crossfade over a band in between so regions meet smoothly.
+    getBiomeWeights(gx, gy, gz) {
+        const weights = BIOMES.map(() => 0);
+        if (!this.options.biomes) {
+            weights[1] = 1; // Aether Drift, the original look
+            return weights;
+        }
+
+        const scale = this.biomeScale;
+        const noise = AsciiNoise.simplex3(this.biomeSeed, gx * scale, gy * scale, gz * scale);
+        // Saturate past +-0.5 so the biomes at either end get about as much space as the middle ones
+        const spread = Math.min(1, Math.max(0, noise + 0.5));
+        const position = spread * (BIOMES.length - 1);
+        const index = Math.min(Math.floor(position), BIOMES.length - 2);
+        const t = Math.min(1, Math.max(0, (position - index - 0.35) / 0.3));
+        const blend = t * t * (3 - 2 * t); // Smoothstep across the middle of the gap
+
+        weights[index] = 1 - blend;
+        weights[index + 1] = blend;
+        return weights;
+    }
+
+    // Weighted mix of every biome setting, plus the name of the strongest biome
+    blendBiomes(weights) {
+        const result = {
+            name: BIOMES[weights.indexOf(Math.max(...weights))].name,
+            density: 0,
+            debris: [0, 0, 0],
+            fogColor: new THREE.Color(0, 0, 0),
+            fogDensity: 0,
+            sunset: BIOMES[0].sunset.map(() => [0, 0, 0]),
+            nebula: [0, 1, 2].map(() => new THREE.Color(0, 0, 0)) // Skybox nebula colours, from the palettes
+        };
+        const color = new THREE.Color();
+
+        BIOMES.forEach((biome, i) => {
+            const weight = weights[i];
+            if (weight === 0) return;
+            result.density += biome.density * weight;
+            biome.debris.forEach((value, j) => { result.debris[j] += value * weight; });
+            result.fogColor.add(color.setHex(biome.fog.color).multiplyScalar(weight));
+            result.fogDensity += biome.fog.density * weight;
+            const { palette, sunset } = this.getBiomeColors(biome);
+            sunset.forEach((stop, j) => {
+                stop.forEach((channel, k) => { result.sunset[j][k] += channel * weight; });
+            });
+            result.nebula.forEach((nebula, j) => {
+                nebula.add(color.setHex(palette[j % palette.length]).multiplyScalar(weight));
+            });
+        });
+        return result;
+    }
+
+    // Ease the camera's surroundings towards the biome it is flying through
+    updateBiome(snap = false) {
+        const weights = this.getBiomeWeights(
+            this.camera.position.x / this.gridSize,
+            this.camera.position.y / this.gridSize,
+            this.camera.position.z / this.gridSize
+        );
+        const target = this.blendBiomes(weights);
+
+        if (snap || !this.biome) {
+            this.biome = target;
+        } else {
+            const ease = 0.02;
+            const current = this.biome;
+            current.density += (target.density - current.density) * ease;
+            current.debris = current.debris.map((value, i) => value + (target.debris[i] - value) * ease);
+            current.fogColor.lerp(target.fogColor, ease);
+            current.fogDensity += (target.fogDensity - current.fogDensity) * ease;
+            current.sunset = current.sunset.map((stop, i) => stop.map((channel, k) => channel + (target.sunset[i][k] - channel) * ease));
+            current.nebula.forEach((nebula, i) => nebula.lerp(target.nebula[i], ease));
+
+            // Announce a new region once it clearly dominates, so borders don't flicker
+            if (target.name !== current.name && Math.max(...weights) > 0.6) {
+                current.name = target.name;
+                this.showHudMessage(`ENTERING ${current.name.toUpperCase()}`);
+            }
+        }
+
+        this.scene.fog.color.copy(this.biome.fogColor);
+        this.scene.fog.density = this.biome.fogDensity;
+
+        // Re-bake the sky once the blend has drifted visibly from the last bake, at most every half second
+        if (this.skybox && this.frameCount - this.skybox.bakedAt >= 30 && this.getSkyboxDrift() > 16) {
+            this.updateSkybox();
+        }
+    }
+
+    // Palette of the biome the camera is in, for things spawned around it
+    getBiomePalette() {
+        return this.getBiomeColors(BIOMES.find(biome => biome.name === this.biome.name)).palette;
+    }
+
+    // The far detail levels are far more numerous than full aetherytes, so each is drawn as
+    // InstancedMeshes backed by a slot pool: billboard glows (crystal-coloured core and gold
+    // halo) at range, and low-poly crystals closer in
+    createStarInstances() {
+        // Roughly the number of aetheryte cells inside the unload radius, with headroom
+        const cellRadius = (this.renderDistance * 1.2) / this.gridSize;
+        // Sized for the densest biome, in case the whole shell sits inside one
+        const maxChance = Math.min(1, this.aetheryteChance * Math.max(...BIOMES.map(biome => biome.density)));
+        const expected = (4 / 3) * Math.PI * Math.pow(cellRadius, 3) * maxChance;
+        const capacity = Math.min(8192, Math.max(256, Math.ceil(expected * 1.5)));
+
+        const core = this.createInstancedTintMesh(new THREE.PlaneGeometry(4.4, 4.4), capacity, { billboard: true, falloff: 0.6 });
+        const glow = this.createInstancedTintMesh(new THREE.PlaneGeometry(9, 9), capacity, { billboard: true, falloff: 2.0 });
+        this.starMeshes = { core, glow };
+        this.starPool = new InstancePool([core, glow], capacity);
+
+        const lowRadius = (this.lowDetailDistance * 1.2) / this.gridSize;
+        const lowExpected = (4 / 3) * Math.PI * Math.pow(lowRadius, 3) * maxChance;
+        const lowCapacity = Math.min(capacity, Math.max(64, Math.ceil(lowExpected * 1.5)));
+        const lowGeometry = new THREE.OctahedronGeometry(6, 0); // Flat-shaded facets at detail 0
+        lowGeometry.scale(1, 2, 1);
+        this.lowPolyMesh = this.createInstancedTintMesh(lowGeometry, lowCapacity, { faceted: true });
+        this.lowPolyPool = new InstancePool([this.lowPolyMesh], lowCapacity);
+    }
+
+    // Unlit InstancedMesh with per-instance colour and opacity. Billboards face the camera with a
+    // soft radial falloff; faceted meshes shade each face by how squarely it faces the camera.
+    createInstancedTintMesh(geometry, capacity, { billboard = false, faceted = false, falloff = 1 } = {}) {
+        geometry.setAttribute('instanceOpacity', new THREE.InstancedBufferAttribute(new Float32Array(capacity), 1));
+
+        const defines = {};
+        if (billboard) defines.BILLBOARD = '';
+        if (faceted) defines.FACETED = '';
+
+        const uniforms = THREE.UniformsUtils.clone(THREE.UniformsLib.fog);
+        uniforms.falloff = { value: falloff };
+
+        const material = new THREE.ShaderMaterial({
+            defines,
+            uniforms,
+            vertexShader: `
+                attribute float instanceOpacity;
+                varying vec3 vColor;
+                varying float vOpacity;
+                varying vec2 vUv;
+                #include <fog_pars_vertex>
+
+                void main() {
+                    vColor = instanceColor;
+                    vOpacity = instanceOpacity;
+                    vUv = uv;
+
+                    #ifdef BILLBOARD
+                        vec4 mvPosition = modelViewMatrix * vec4(instanceMatrix[3].xyz, 1.0);
+                        mvPosition.xy += position.xy * length(instanceMatrix[0].xyz);
+                    #else
+                        vec4 mvPosition = modelViewMatrix * instanceMatrix * vec4(position, 1.0);
+                    #endif
+
+                    #ifdef FACETED
+                        vec3 viewNormal = normalize(normalMatrix * mat3(instanceMatrix) * normal);
+                        vColor *= 0.45 + 0.55 * abs(viewNormal.z);
+                    #endif
+
+                    gl_Position = projectionMatrix * mvPosition;
+                    #include <fog_vertex>
+                }
+            `,
+            fragmentShader: `
+                uniform float falloff;
+                varying vec3 vColor;
+                varying float vOpacity;
+                varying vec2 vUv;
+                #include <fog_pars_fragment>
+
+                void main() {
+                    float alpha = vOpacity;
+                    #ifdef BILLBOARD
+                        alpha *= pow(clamp(1.0 - length(vUv - 0.5) * 2.0, 0.0, 1.0), falloff);
+                    #endif
+                    gl_FragColor = vec4(vColor, alpha);
+                    #include <tonemapping_fragment>
+                    #include <fog_fragment>
+                }
+            `,
             transparent: true,
-            opacity: 0.35
+            depthWrite: !billboard,
+            fog: true
         });
-        const glow = new THREE.Mesh(glowGeometry, glowMaterial);
-        star.add(glow);
 
-        return star;
+        const mesh = new THREE.InstancedMesh(geometry, material, capacity);
+        // instanceColor has to exist before the first render for the shader to declare it
+        mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        mesh.frustumCulled = false; // Instances are spread far beyond the geometry's bounds
+        this.scene.add(mesh);
+        return mesh;
     }
 
-    // Check if a point is in the camera's view frustum
-    isInViewFrustum(worldPos) {
-        // Update camera matrices
-        this.camera.updateMatrixWorld();
-        this.camera.updateProjectionMatrix();
+    // Create a distant star representation, sized and tinted for the chunk's landmark type.
+    // Returns null if the star pool is full.
+    createDistantStar(chunk) {
+        const slot = this.starPool.acquire();
+        if (slot === -1) return null;
+
+        const { core, glow } = this.starMeshes;
+        const type = LANDMARK_TYPES[chunk.landmark];
+        const color = this.getCellColor(chunk.gridPos);
+        this.tempScale.setScalar(type.glowScale);
+        this.tempMatrix.compose(chunk.worldPos, this.tempQuaternion.identity(), this.tempScale);
+        core.setMatrixAt(slot, this.tempMatrix);
+        glow.setMatrixAt(slot, this.tempMatrix);
+        core.setColorAt(slot, this.tempColor.setHex(color));
+        glow.setColorAt(slot, this.tempColor.setHex(this.getHaloColor(type, color)));
+        core.geometry.attributes.instanceOpacity.setX(slot, 0);
+        glow.geometry.attributes.instanceOpacity.setX(slot, 0);
+
+        [core, glow].forEach(mesh => {
+            mesh.instanceMatrix.needsUpdate = true;
+            mesh.instanceColor.needsUpdate = true;
+            mesh.geometry.attributes.instanceOpacity.needsUpdate = true;
+        });
+
+        return {
+            slot,
+            gridKey: chunk.key,
+            gridPos: chunk.gridPos,
+            originalPosition: chunk.worldPos.clone(),
+            fade: 0 // LOD opacity, raised by updateChunkFades
+        };
+    }
 
-        // Create frustum from camera
-        const frustum = new THREE.Frustum();
-        const projScreenMatrix = new THREE.Matrix4();
-        projScreenMatrix.multiplyMatrices(
+    // Colour of a landmark type's distant halo: the cell's colour, a theme role or a fixed colour
+    getHaloColor(type, cellColor) {
+        if (type.haloColor === null) return cellColor;
+        return typeof type.haloColor === 'string' ? this.theme[type.haloColor] : type.haloColor;
+    }
+
+    // Middle detail level: a single low-poly crystal in the chunk's colour and orientation.
+    // Returns null if the pool is full.
+    createLowPolyCrystal(chunk) {
+        const slot = this.lowPolyPool.acquire();
+        if (slot === -1) return null;
+
+        const mesh = this.lowPolyMesh;
+        this.tempQuaternion.setFromEuler(chunk.rotation);
+        this.tempMatrix.compose(chunk.worldPos, this.tempQuaternion, this.lowPolyScale);
+        mesh.setMatrixAt(slot, this.tempMatrix);
+        mesh.setColorAt(slot, this.tempColor.setHex(this.getCellColor(chunk.gridPos)));
+        mesh.geometry.attributes.instanceOpacity.setX(slot, 0);
+        mesh.instanceMatrix.needsUpdate = true;
+        mesh.instanceColor.needsUpdate = true;
+        mesh.geometry.attributes.instanceOpacity.needsUpdate = true;
+
+        return { slot, fade: 0 };
+    }
+
+    removeDistantStar(star) {
+        this.starPool.release(star.slot);
+    }
+
+    // Refresh the cached view frustum - done once per simulation step, after the camera moves
+    updateViewFrustum() {
+        this.camera.updateMatrixWorld();
+        this.viewProjection.multiplyMatrices(
             this.camera.projectionMatrix,
             this.camera.matrixWorldInverse
         );
-        frustum.setFromProjectionMatrix(projScreenMatrix);
+        this.viewFrustum.setFromProjectionMatrix(this.viewProjection);
+    }
 
-        // Check if point is in frustum
-        return frustum.containsPoint(worldPos);
+    // Check if a point is in the camera's view frustum
+    isInViewFrustum(worldPos) {
+        return this.viewFrustum.containsPoint(worldPos);
     }
 
+    // ==========================================
+    // CHUNK STREAMING
+    // Every grid cell that holds a landmark and lies inside the load shell around the camera is a
+    // chunk. Chunks are shown as instanced stars, and upgraded to full landmarks near the camera.
+    // The shell is only diffed when the camera crosses into another cell, and the resulting
+    // loads/unloads are spread over several steps by chunkBudget.
+    // ==========================================
+
     // Update procedural generation based on camera position
-    updateProceduralAetherytes() {
-        // Throttle updates to every 10 frames for performance
+    updateProceduralAetherytes(flush = false) {
+        const camGridPos = this.getGridPosition(this.camera.position);
+        const center = this.chunkCenter;
+        if (!center || center.x !== camGridPos.x || center.y !== camGridPos.y || center.z !== camGridPos.z) {
+            this.queueShellChanges(center, camGridPos);
+            this.chunkCenter = camGridPos;
+        }
+
+        const changed = this.processChunkQueue(flush ? Infinity : this.chunkBudget);
+
+        // Detail changes near the camera are throttled to every 10 simulation steps
         this.frameCount++;
-        if (this.frameCount % 10 !== 0) {
+        if (flush || this.frameCount % 10 === 0) {
+            this.updateLandmarkDetail(camGridPos);
+        } else if (!changed) {
             return;
         }
 
-        const camGridPos = this.getGridPosition(this.camera.position);
-        // console.log(`Camera at grid: (${camGridPos.x}, ${camGridPos.y}, ${camGridPos.z})`);
-
-        // Check grid positions around the camera
-        const checkRadius = Math.ceil(this.renderDistance / this.gridSize);
-
-        let starsCreated = 0;
-        let aetherytesCreated = 0;
-
-        for (let x = camGridPos.x - checkRadius; x <= camGridPos.x + checkRadius; x++) {
-            for (let y = camGridPos.y - checkRadius; y <= camGridPos.y + checkRadius; y++) {
-                for (let z = camGridPos.z - checkRadius; z <= camGridPos.z + checkRadius; z++) {
-                    const gridPos = { x, y, z };
-                    const key = `${x},${y},${z}`;
-
-                    // Skip if no aetheryte should be here
-                    if (!this.shouldHaveAetheryte(gridPos)) continue;
-
-                    const worldPos = this.gridToWorld(gridPos);
-                    const worldPosVector = new THREE.Vector3(worldPos.x, worldPos.y, worldPos.z);
-                    const distance = this.camera.position.distanceTo(worldPosVector);
-
-                    // Skip if outside render distance
-                    if (distance > this.renderDistance) continue;
-
-                    // Skip if not in camera's view frustum (only generate what you can see)
-                    if (!this.isInViewFrustum(worldPosVector)) continue;
-
-                    // Check if we need to upgrade from star to full aetheryte
-                    if (distance < this.detailDistance) {
-                        // Create full aetheryte if not already loaded
-                        if (!this.loadedAetherytes.has(key)) {
-                            const aetheryte = this.createAetheryte();
-                            aetheryte.position.set(worldPos.x, worldPos.y, worldPos.z);
-
-                            // Store original position for cleanup checks
-                            aetheryte.userData.originalPosition = new THREE.Vector3(worldPos.x, worldPos.y, worldPos.z);
-
-                            // Random orientation
-                            aetheryte.rotation.x = this.seededRandom(x, y, z) * Math.PI * 2;
-                            aetheryte.rotation.y = this.seededRandom(y, z, x) * Math.PI * 2;
-                            aetheryte.rotation.z = this.seededRandom(z, x, y) * Math.PI * 2;
-
-                            // Smaller drift velocity - oscillate around origin instead of drifting away
-                            aetheryte.userData.drift = {
-                                x: (this.seededRandom(x + 1, y, z) - 0.5) * 0.005,
-                                y: (this.seededRandom(x, y + 1, z) - 0.5) * 0.005,
-                                z: (this.seededRandom(x, y, z + 1) - 0.5) * 0.005,
-                                rotX: (this.seededRandom(x + 2, y, z) - 0.5) * 0.01,
-                                rotY: (this.seededRandom(x, y + 2, z) - 0.5) * 0.01,
-                                rotZ: (this.seededRandom(x, y, z + 2) - 0.5) * 0.01
-                            };
-                            aetheryte.userData.gridKey = key;
-                            aetheryte.userData.time = 0; // For oscillation
-                            aetheryte.userData.spawnTime = Date.now(); // For fade-in animation
-
-                            // Start with scale 0 for smooth spawn
-                            aetheryte.scale.set(0.1, 0.1, 0.1);
-
-                            this.scene.add(aetheryte);
-                            this.loadedAetherytes.set(key, aetheryte);
-                            aetherytesCreated++;
-
-                            // Remove star if it exists
-                            const starIndex = this.distantStars.findIndex(s => s.userData.gridKey === key);
-                            if (starIndex !== -1) {
-                                this.scene.remove(this.distantStars[starIndex]);
-                                this.distantStars.splice(starIndex, 1);
-                            }
-                        }
-                    } else {
-                        // Show as distant star if not already showing
-                        if (!this.loadedAetherytes.has(key) &&
-                            !this.distantStars.find(s => s.userData.gridKey === key)) {
-                            const star = this.createDistantStar(worldPos);
-                            star.userData.gridKey = key;
-                            star.userData.originalPosition = new THREE.Vector3(worldPos.x, worldPos.y, worldPos.z);
-                            this.scene.add(star);
-                            this.distantStars.push(star);
-                            starsCreated++;
+        // New objects need a redraw even if the camera is still
+        this.needsRender = true;
+    }
+
+    // Chunk load radius in cells, and the larger unload radius that keeps cells near the edge from flickering
+    getShellRadii() {
+        const load = this.renderDistance / this.gridSize;
+        return { load, unload: load * 1.2 };
+    }
+
+    // Cell offsets within radius of the origin cell, nearest first
+    getShellOffsets(radius) {
+        const cacheKey = `shell:${radius}`;
+        if (!this.shellOffsetCache.has(cacheKey)) {
+            const reach = Math.floor(radius);
+            const offsets = [];
+            for (let x = -reach; x <= reach; x++) {
+                for (let y = -reach; y <= reach; y++) {
+                    for (let z = -reach; z <= reach; z++) {
+                        const lengthSq = x * x + y * y + z * z;
+                        if (lengthSq <= radius * radius) {
+                            offsets.push({ x, y, z, lengthSq });
                         }
                     }
                 }
             }
+            offsets.sort((a, b) => a.lengthSq - b.lengthSq);
+            this.shellOffsetCache.set(cacheKey, offsets);
         }
+        return this.shellOffsetCache.get(cacheKey);
+    }
 
-        // if (starsCreated > 0 || aetherytesCreated > 0) {
-        //     console.log(`Created ${starsCreated} stars, ${aetherytesCreated} aetherytes. Total: ${this.distantStars.length} stars, ${this.loadedAetherytes.size} aetherytes`);
-        // }
-
-        // Clean up distant aetherytes and stars
-        this.cleanupDistantObjects(camGridPos, checkRadius);
-    }
-
-    cleanupDistantObjects(camGridPos, checkRadius) {
-        // Downgrade aetherytes to stars if they're beyond detail distance, or remove completely if too far
-        let aetherytesDowngraded = 0;
-        let aetherytesRemoved = 0;
-
-        for (const [key, aetheryte] of this.loadedAetherytes.entries()) {
-            if (aetheryte.userData.originalPosition) {
-                const distance = this.camera.position.distanceTo(aetheryte.userData.originalPosition);
-
-                if (distance > this.renderDistance * 1.2) {
-                    // Too far - remove completely
-                    this.scene.remove(aetheryte);
-                    this.loadedAetherytes.delete(key);
-                    aetherytesRemoved++;
-                } else if (distance > this.detailDistance * 1.2) {
-                    // Between detail and render distance - downgrade to star
-                    this.scene.remove(aetheryte);
-                    this.loadedAetherytes.delete(key);
-
-                    // Create a star in its place
-                    const star = this.createDistantStar(aetheryte.userData.originalPosition);
-                    star.userData.gridKey = key;
-                    star.userData.originalPosition = aetheryte.userData.originalPosition.clone();
-                    this.scene.add(star);
-                    this.distantStars.push(star);
-                    aetherytesDowngraded++;
-                }
+    // Offsets in the shell that fall outside it once shifted by delta - the shell's leading edge.
+    // There are only 26 single-cell deltas, so each edge is worked out once and cached.
+    getShellEdge(radius, delta) {
+        const cacheKey = `edge:${radius}:${delta.x},${delta.y},${delta.z}`;
+        if (!this.shellOffsetCache.has(cacheKey)) {
+            const radiusSq = radius * radius;
+            const edge = this.getShellOffsets(radius).filter(offset => {
+                const x = offset.x + delta.x;
+                const y = offset.y + delta.y;
+                const z = offset.z + delta.z;
+                return x * x + y * y + z * z > radiusSq;
+            });
+            this.shellOffsetCache.set(cacheKey, edge);
+        }
+        return this.shellOffsetCache.get(cacheKey);
+    }
+
+    // Queue the cells entering and leaving the shell as the camera moves between cells
+    queueShellChanges(from, to) {
+        const radii = this.getShellRadii();
+        const delta = from ? { x: to.x - from.x, y: to.y - from.y, z: to.z - from.z } : null;
+
+        if (delta && Math.max(Math.abs(delta.x), Math.abs(delta.y), Math.abs(delta.z)) <= 1) {
+            // Cells entering the load shell around the new cell...
+            this.getShellEdge(radii.load, delta).forEach(offset => this.queueChunk('load', to, offset));
+            // ...and cells leaving the unload shell around the old one
+            const back = { x: -delta.x, y: -delta.y, z: -delta.z };
+            this.getShellEdge(radii.unload, back).forEach(offset => this.queueChunk('unload', from, offset));
+            return;
+        }
+
+        // First update or a jump of several cells - rebuild against the whole shell.
+        // The old cells are out of sight, so they go at once and first, freeing their slots for the loads.
+        this.chunkQueue = [];
+        this.chunkQueueHead = 0;
+        this.chunks.forEach(chunk => {
+            if (this.getCellDistance(chunk.gridPos, to) > radii.unload) {
+                this.chunkQueue.push({ type: 'unload', gridPos: chunk.gridPos, key: chunk.key, immediate: true });
+            }
+        });
+        this.getShellOffsets(radii.load).forEach(offset => this.queueChunk('load', to, offset));
+    }
+
+    queueChunk(type, origin, offset) {
+        const gridPos = { x: origin.x + offset.x, y: origin.y + offset.y, z: origin.z + offset.z };
+        // Most cells are empty - skip them before they reach the queue
+        if (type === 'load' && !this.shouldHaveLandmark(gridPos)) return;
+        this.chunkQueue.push({ type, gridPos, key: `${gridPos.x},${gridPos.y},${gridPos.z}` });
+    }
+
+    getCellDistance(a, b) {
+        const x = a.x - b.x;
+        const y = a.y - b.y;
+        const z = a.z - b.z;
+        return Math.sqrt(x * x + y * y + z * z);
+    }
+
+    // Work through up to `limit` queued loads/unloads. Returns true if anything changed.
+    processChunkQueue(limit) {
+        const radii = this.getShellRadii();
+        let processed = 0;
+
+        while (this.chunkQueueHead < this.chunkQueue.length && processed < limit) {
+            const { type, gridPos, key, immediate } = this.chunkQueue[this.chunkQueueHead++];
+            const distance = this.getCellDistance(gridPos, this.chunkCenter);
+
+            // The camera may have moved on since this was queued
+            const chunk = this.chunks.get(key);
+            if (type === 'load') {
+                if ((chunk && chunk.tier !== -1) || distance > radii.unload) continue;
+                this.loadChunk(gridPos, key);
+            } else {
+                if (!chunk || (chunk.tier === -1 && !immediate) || distance <= radii.unload) continue;
+                this.unloadChunk(key, immediate);
             }
+            processed++;
+        }
+
+        if (this.chunkQueueHead >= this.chunkQueue.length) {
+            this.chunkQueue = [];
+            this.chunkQueueHead = 0;
+        }
+        return processed > 0;
+    }
+
+    loadChunk(gridPos, key) {
+        const existing = this.chunks.get(key);
+        if (existing) {
+            // Still fading out from an earlier unload - bring it back
+            this.setChunkTier(existing, 0);
+            return;
+        }
+
+        const worldPos = this.gridToWorld(gridPos);
+        const random = this.createRandom('cell-rotation', gridPos.x, gridPos.y, gridPos.z);
+        const chunk = {
+            key,
+            gridPos,
+            landmark: this.pickLandmarkType(gridPos), // Key into LANDMARK_TYPES
+            worldPos: new THREE.Vector3(worldPos.x, worldPos.y, worldPos.z),
+            // Seeded orientation, shared by the low-poly and full detail levels
+            rotation: new THREE.Euler(
+                random() * Math.PI * 2,
+                random() * Math.PI * 2,
+                random() * Math.PI * 2
+            ),
+            tier: -1, // Index into LOD_TIERS the chunk is fading towards, -1 while unloading
+            handles: LOD_TIERS.map(() => null) // Star, low-poly crystal and full landmark, while visible
+        };
+        this.chunks.set(key, chunk);
+        this.setChunkTier(chunk, 0);
+    }
+
+    // Fade a chunk out, or drop it on the spot (e.g. when the camera jumped away)
+    unloadChunk(key, immediate = false) {
+        const chunk = this.chunks.get(key);
+        if (!chunk) return;
+
+        this.setChunkTier(chunk, -1);
+        if (immediate) {
+            chunk.handles.forEach((handle, tier) => this.removeTierHandle(chunk, tier));
+            this.fadingChunks.delete(chunk);
+            this.chunks.delete(key);
+        }
+    }
+
+    // Point a chunk at a new detail level. Its current handles crossfade over fadeInDuration.
+    setChunkTier(chunk, tier) {
+        if (chunk.tier === tier) return;
+        chunk.tier = tier;
+
+        if (tier !== -1 && !chunk.handles[tier]) {
+            chunk.handles[tier] = this.createTierHandle(chunk, tier);
+        }
+        if (tier > 0) {
+            this.detailedChunks.add(chunk);
+        } else {
+            this.detailedChunks.delete(chunk);
+        }
+        this.fadingChunks.add(chunk);
+    }
+
+    createTierHandle(chunk, tier) {
+        const name = LOD_TIERS[tier];
+        if (name === 'glow') {
+            const star = this.createDistantStar(chunk);
+            if (star) this.distantStars.set(chunk.key, star);
+            return star;
+        }
+        if (name === 'low') {
+            const crystal = this.createLowPolyCrystal(chunk);
+            if (crystal) this.lowPolyCrystals.set(chunk.key, crystal);
+            return crystal;
         }
+        return this.spawnLandmark(chunk);
+    }
+
+    removeTierHandle(chunk, tier) {
+        const handle = chunk.handles[tier];
+        if (!handle) return;
+
+        const name = LOD_TIERS[tier];
+        if (name === 'glow') {
+            this.removeDistantStar(handle);
+            this.distantStars.delete(chunk.key);
+        } else if (name === 'low') {
+            this.lowPolyPool.release(handle.slot);
+            this.lowPolyCrystals.delete(chunk.key);
+        } else {
+            this.removeObject(handle);
+            this.loadedLandmarks.delete(chunk.key);
+        }
+        chunk.handles[tier] = null;
+    }
 
-        // Remove stars that are too far from their original position
-        let starsRemoved = 0;
-        this.distantStars = this.distantStars.filter(star => {
-            if (star.userData.originalPosition) {
-                const distance = this.camera.position.distanceTo(star.userData.originalPosition);
-                if (distance > this.renderDistance * 1.2) { // Add 20% buffer
-                    this.scene.remove(star);
-                    starsRemoved++;
-                    return false;
+    // Repaint a loaded chunk after a theme change. The instanced levels are recoloured in place
+    // and the full landmark is rebuilt where it stands, keeping its crossfade.
+    recolorChunk(chunk) {
+        const [star, crystal, landmark] = chunk.handles;
+        const color = this.getCellColor(chunk.gridPos);
+        if (star) {
+            this.starMeshes.core.setColorAt(star.slot, this.tempColor.setHex(color));
+            this.starMeshes.glow.setColorAt(star.slot, this.tempColor.setHex(this.getHaloColor(LANDMARK_TYPES[chunk.landmark], color)));
+        }
+        if (crystal) {
+            this.lowPolyMesh.setColorAt(crystal.slot, this.tempColor.setHex(color));
+        }
+        if (landmark) {
+            const full = LOD_TIERS.indexOf('full');
+            this.removeTierHandle(chunk, full);
+            const rebuilt = this.createTierHandle(chunk, full);
+            chunk.handles[full] = rebuilt;
+            rebuilt.position.copy(landmark.position);
+            rebuilt.rotation.copy(landmark.rotation);
+            rebuilt.scale.copy(landmark.scale);
+            ['time', 'fade', 'lit', 'side'].forEach(key => {
+                if (key in landmark.userData) rebuilt.userData[key] = landmark.userData[key];
+            });
+        }
+    }
+
+    // Step every fading chunk towards its target tier. Handles that finish fading out are freed,
+    // and chunks that were unloading are dropped once nothing of them is left.
+    updateChunkFades(fadeDuration) {
+        if (this.fadingChunks.size === 0) return;
+
+        const step = fadeDuration > 0 ? this.simulationStep / fadeDuration : 1;
+        this.fadingChunks.forEach(chunk => {
+            let settled = true;
+
+            chunk.handles.forEach((handle, tier) => {
+                if (!handle) return;
+                const state = handle.userData || handle; // Full crystals keep their fade in userData
+                const target = tier === chunk.tier ? 1 : 0;
+                state.fade = target > state.fade ? Math.min(target, state.fade + step) : Math.max(target, state.fade - step);
+
+                if (state.fade === 0 && target === 0) {
+                    this.removeTierHandle(chunk, tier);
+                } else if (state.fade !== target) {
+                    settled = false;
                 }
+            });
+
+            if (chunk.tier === -1 && chunk.handles.every(handle => !handle)) {
+                this.chunks.delete(chunk.key);
             }
-            return true;
+            if (settled) {
+                this.fadingChunks.delete(chunk);
+            }
+        });
+
+        this.needsRender = true;
+    }
+
+    // Drop every chunk, e.g. before regenerating with a new seed
+    resetChunks() {
+        this.chunks.forEach(chunk => {
+            chunk.handles.forEach((handle, tier) => this.removeTierHandle(chunk, tier));
         });
+        this.chunks.clear();
+        this.fadingChunks.clear();
+        this.detailedChunks.clear();
+        this.chunkQueue = [];
+        this.chunkQueueHead = 0;
+        this.chunkCenter = null;
+    }
+
+    // Distances at which a landmark type is built in full and as a low-poly crystal (0 if it has no low-poly stage)
+    getLandmarkDistances(type) {
+        const full = this.detailDistance * type.lodScale;
+        return { full, low: type.lowPoly ? Math.max(this.lowDetailDistance * type.lodScale, full) : 0 };
+    }
 
-        // if (aetherytesRemoved > 0 || starsRemoved > 0 || aetherytesDowngraded > 0) {
-        //     console.log(`Cleaned up: ${aetherytesRemoved} aetherytes removed, ${aetherytesDowngraded} downgraded, ${starsRemoved} stars removed`);
-        // }
+    // Detail level a chunk should show. Upgrades happen inside a tier's distance, downgrades only
+    // once 20% past it, so landmarks near a boundary don't flip back and forth.
+    getDesiredTier(chunk, distance) {
+        const current = chunk.tier;
+        const full = LOD_TIERS.indexOf('full');
+        const low = LOD_TIERS.indexOf('low');
+        const distances = this.getLandmarkDistances(LANDMARK_TYPES[chunk.landmark]);
+
+        // Full landmarks are only built for what you can see
+        if (distance < distances.full && (current === full || this.isInViewFrustum(chunk.worldPos))) return full;
+        if (current === full && distance <= distances.full * 1.2) return full;
+        if (distance < distances.low) return low;
+        if (current >= low && distance <= distances.low * 1.2) return low;
+        return 0;
     }
 
-    createAetheryte() {
+    // Move chunks near the camera between detail levels
+    updateLandmarkDetail(camGridPos) {
+        const full = LOD_TIERS.indexOf('full');
+        let spawned = 0;
+
+        const update = (chunk) => {
+            if (chunk.tier === -1) return;
+            let tier = this.getDesiredTier(chunk, this.camera.position.distanceTo(chunk.worldPos));
+
+            // Full landmarks are expensive to build, so only a few per update; the rest wait a level down
+            if (tier === full && chunk.tier !== full) {
+                if (spawned >= this.maxLandmarkSpawns) {
+                    tier = LANDMARK_TYPES[chunk.landmark].lowPoly ? full - 1 : chunk.tier;
+                } else {
+                    spawned++;
+                }
+            }
+            this.setChunkTier(chunk, tier);
+        };
+
+        // Chunks already above the lowest tier may need to come down...
+        Array.from(this.detailedChunks).forEach(update);
+
+        // ...and ones within reach of the nearer detail levels of any landmark type may need to go up
+        const reach = Object.keys(LANDMARK_TYPES).reduce((max, name) => {
+            const distances = this.getLandmarkDistances(LANDMARK_TYPES[name]);
+            return Math.max(max, distances.full, distances.low);
+        }, 0);
+        const radius = Math.ceil(Math.min(reach, this.renderDistance) / this.gridSize);
+        for (let x = camGridPos.x - radius; x <= camGridPos.x + radius; x++) {
+            for (let y = camGridPos.y - radius; y <= camGridPos.y + radius; y++) {
+                for (let z = camGridPos.z - radius; z <= camGridPos.z + radius; z++) {
+                    const chunk = this.chunks.get(`${x},${y},${z}`);
+                    if (chunk && chunk.tier === 0) {
+                        update(chunk);
+                    }
+                }
+            }
+        }
+    }
+
+    // Build a chunk's full-detail landmark through its type's create hook
+    spawnLandmark(chunk) {
+        const { x, y, z } = chunk.gridPos;
+        const type = LANDMARK_TYPES[chunk.landmark];
+        const random = this.createRandom('landmark', x, y, z);
+        const object = type.create(this, chunk, random);
+        const worldPos = chunk.worldPos;
+        object.position.copy(worldPos);
+
+        // Store original position for cleanup checks
+        object.userData.originalPosition = worldPos.clone();
+
+        // Seeded orientation, matching the low-poly crystal it replaces. Upright types only keep the heading.
+        if (type.upright) {
+            object.rotation.set(0, chunk.rotation.y, 0);
+        } else {
+            object.rotation.copy(chunk.rotation);
+        }
+
+        // Smaller drift velocity - oscillate around origin instead of drifting away
+        object.userData.drift = {
+            x: (random() - 0.5) * 0.005,
+            y: (random() - 0.5) * 0.005,
+            z: (random() - 0.5) * 0.005,
+            rotX: (random() - 0.5) * 0.01,
+            rotY: (random() - 0.5) * 0.01,
+            rotZ: (random() - 0.5) * 0.01
+        };
+        object.userData.landmark = chunk.landmark;
+        object.userData.gridKey = chunk.key;
+        object.userData.gridPos = chunk.gridPos;
+        object.userData.time = 0; // For oscillation
+        object.userData.phase = random() * Math.PI * 2; // Offsets pulses between landmarks
+        object.userData.fade = 0; // LOD opacity, raised by updateChunkFades
+
+        // Start with scale 0 for smooth spawn
+        object.scale.set(0.1, 0.1, 0.1);
+
+        this.scene.add(object);
+        this.loadedLandmarks.set(chunk.key, object);
+        return object;
+    }
+
+    createAetheryte(gridPos) {
         const group = new THREE.Group();
+        const random = this.createRandom('aetheryte', gridPos.x, gridPos.y, gridPos.z);
 
-        // Vaporwave crystal core - randomly purple, cyan, or blue
-        const coreColors = [0x9d4edd, 0x00e5ff, 0x5b7fff]; // Purple, cyan, blue
-        const coreColor = coreColors[Math.floor(Math.random() * coreColors.length)];
+        // Vaporwave crystal core - purple, cyan, or blue, fixed per grid cell
+        const coreColor = this.getCellColor(gridPos);
 
         const coreGeometry = new THREE.OctahedronGeometry(6, 2); // Increased subdivisions
         coreGeometry.scale(1, 2, 1);
 
         // Crystalline material with reflections and refraction-like properties
-        const coreMaterial = new THREE.MeshPhysicalMaterial({
+        const coreMaterial = this.createCrystalMaterial({
             color: coreColor,
             metalness: 0.1,
             roughness: 0.05,
             transparent: true,
             opacity: 0.75,
             transmission: 0.9, // Glass-like transmission
-            envMap: this.envMap,
             envMapIntensity: 1.5,
             clearcoat: 1.0,
             clearcoatRoughness: 0.1,
@@ -1061,7 +3127,7 @@ class AsciiBackground {
         // Inner glow crystal layer
         const innerGeometry = new THREE.OctahedronGeometry(5, 1);
         innerGeometry.scale(1, 2, 1);
-        const innerMaterial = new THREE.MeshPhysicalMaterial({
+        const innerMaterial = this.createCrystalMaterial({
             color: coreColor,
             emissive: coreColor,
             emissiveIntensity: 0.8,
@@ -1087,7 +3153,7 @@ class AsciiBackground {
         );
         group.add(coreWireframe);
 
-        // Gold rings around the crystal with metallic reflective material
+        // Gold rings (the theme highlight) around the crystal with metallic reflective material
         const ringCount = 3;
         for (let i = 0; i < ringCount; i++) {
             const ringGeometry = new THREE.TorusGeometry(
@@ -1098,14 +3164,13 @@ class AsciiBackground {
             );
 
             const ringMaterial = new THREE.MeshStandardMaterial({
-                color: 0xFFD700,
+                color: this.theme.highlight,
                 metalness: 0.95,
                 roughness: 0.15,
-                emissive: 0xFFD700,
+                emissive: this.theme.highlight,
                 emissiveIntensity: 0.3,
                 transparent: true,
                 opacity: 0.85,
-                envMap: this.envMap,
                 envMapIntensity: 2.0,
                 side: THREE.FrontSide, // Backface culling
             });
@@ -1118,194 +3183,724 @@ class AsciiBackground {
             ring.rotation.x = Math.PI / 2;
 
             // Store individual rotation speed for each ring (will rotate around Y axis like hula hoop)
-            ring.userData.rotationSpeed = 0.01 + Math.random() * 0.01;
+            ring.userData.rotationSpeed = 0.01 + random() * 0.01;
 
             group.add(ring);
         }
 
-        // Add crystal color point light with higher intensity
-        const coreLight = new THREE.PointLight(coreColor, 3, 60);
-        coreLight.position.set(0, 0, 0);
-        coreLight.castShadow = false;
-        group.add(coreLight);
+        // Crystal colour light with higher intensity, then a gold one. These are lent from the
+        // shared light pool by updateLightPool rather than added to the group.
+        group.userData.lights = [
+            { color: coreColor, intensity: 3, distance: 60 },
+            { color: this.theme.highlight, intensity: 2, distance: 50 }
+        ];
+        group.userData.lit = 0;
 
-        // Add gold point light
-        const goldLight = new THREE.PointLight(0xFFD700, 2, 50);
-        goldLight.position.set(0, 0, 0);
-        goldLight.castShadow = false;
-        group.add(goldLight);
+        // Materials that glow brighter to make up for a missing light
+        group.userData.glowMaterials = [{ material: innerMaterial, base: 0.8, boost: 0.8 }];
+        group.children.forEach(child => {
+            if (child.geometry && child.geometry.type === 'TorusGeometry') {
+                group.userData.glowMaterials.push({ material: child.material, base: 0.3, boost: 0.4 });
+            }
+        });
 
         return group;
     }
 
-    createAsciiSprites() {
-        const asciiChars = ['@', '#', '$', '%', '&', '*', '+', '=', '~', '◆', '◇', '★', '✦', '✧', '※'];
-        this.asciiSprites = [];
+    // ==========================================
+    // LANDMARKS
+    // Full-detail builders and per-step animation for each entry in LANDMARK_TYPES.
+    // Builders list the materials that fade with the LOD crossfade in userData.fadeMaterials.
+    // ==========================================
+
+    // Grow and fade with the LOD crossfade (shrinks again on the way out). Returns the fade.
+    growWithFade(object) {
+        const fade = object.userData.fade;
+        const easeOut = 1 - Math.pow(1 - fade, 3); // cubic ease-out
+        const scale = 0.1 + (0.9 * easeOut);
+        object.scale.set(scale, scale, scale);
+        return fade;
+    }
+
+    // Oscillate around the original position using sine waves, optionally tumbling as well
+    applyLandmarkDrift(object, ambient, tumble = true) {
+        const { drift, originalPosition } = object.userData;
+        object.userData.time += 0.05 * ambient;
+        const t = object.userData.time;
+
+        const offset = 8; // Max distance from original position
+        object.position.x = originalPosition.x + Math.sin(t * drift.x * 100) * offset;
+        object.position.y = originalPosition.y + Math.sin(t * drift.y * 100 + 1) * offset;
+        object.position.z = originalPosition.z + Math.sin(t * drift.z * 100 + 2) * offset;
+
+        if (tumble) {
+            object.rotation.x += drift.rotX * ambient;
+            object.rotation.y += drift.rotY * ambient;
+            object.rotation.z += drift.rotZ * ambient;
+        }
+    }
+
+    // Set every fading material to its base opacity times the multiplier
+    setLandmarkOpacity(object, multiplier) {
+        object.userData.fadeMaterials.forEach(({ material, opacity }) => {
+            material.opacity = opacity * multiplier;
+        });
+    }
+
+    animateAetheryte(crystal, ambient, twinkle) {
+        const fade = this.growWithFade(crystal);
+        this.applyLandmarkDrift(crystal, ambient);
+        const pulse = Math.sin(Date.now() * 0.002 + crystal.userData.phase) * 0.15 * twinkle;
 
-        // Increase count for more debris
-        for (let i = 0; i < 80; i++) {
+        // Rotate the gold rings independently and pulse their glow
+        crystal.children.forEach(child => {
+            if (child.geometry && child.geometry.type === 'TorusGeometry') {
+                if (child.userData.rotationSpeed) {
+                    child.rotation.y += child.userData.rotationSpeed * ambient;
+                }
+            }
+
+            // Pulse the opacity on all materials for glow effect, scaled by the crossfade
+            if (child.material && child.material.opacity !== undefined) {
+                const baseOpacity = child.geometry.type === 'TorusGeometry' ? 0.6 : 0.7;
+                child.material.opacity = (baseOpacity + pulse) * fade;
+            }
+        });
+    }
+
+    // Soft round puff for nebula sprites, shared by every nebula (and kept out of disposeObject)
+    getNebulaTexture() {
+        if (!this.nebulaTexture) {
             const canvas = document.createElement('canvas');
-            const context = canvas.getContext('2d');
             canvas.width = 64;
             canvas.height = 64;
+            const ctx = canvas.getContext('2d');
+            const gradient = ctx.createRadialGradient(32, 32, 0, 32, 32, 32);
+            gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+            gradient.addColorStop(0.4, 'rgba(255, 255, 255, 0.35)');
+            gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+            ctx.fillStyle = gradient;
+            ctx.fillRect(0, 0, 64, 64);
+            this.nebulaTexture = new THREE.CanvasTexture(canvas);
+        }
+        return this.nebulaTexture;
+    }
 
-            const char = asciiChars[Math.floor(Math.random() * asciiChars.length)];
-            const colors = ['#9d4edd', '#00e5ff', '#5b7fff', '#ffd700']; // Purple, cyan, blue, gold
-            const color = colors[Math.floor(Math.random() * colors.length)];
+    // Nebula cloud - overlapping additive sprites in the cell's colours, denser towards the middle
+    createNebula(chunk, random) {
+        const group = new THREE.Group();
+        const palette = this.getCellPalette(chunk.gridPos);
+        const colors = [this.getCellColor(chunk.gridPos), palette[Math.floor(random() * palette.length)], palette[Math.floor(random() * palette.length)]];
+        const materials = colors.map((color, i) => new THREE.SpriteMaterial({
+            map: this.getNebulaTexture(),
+            color,
+            transparent: true,
+            opacity: 0.22 - i * 0.05,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending
+        }));
 
-            context.font = 'Bold 48px monospace';
-            context.fillStyle = color;
-            context.textAlign = 'center';
-            context.textBaseline = 'middle';
-            context.fillText(char, 32, 32);
+        const puffCount = 24 + Math.floor(random() * 12);
+        for (let i = 0; i < puffCount; i++) {
+            const sprite = new THREE.Sprite(materials[i % materials.length]);
+            // Summed randoms cluster towards the centre for a soft, volumetric falloff
+            sprite.position.set(
+                (random() + random() - 1) * 45,
+                (random() + random() - 1) * 25,
+                (random() + random() - 1) * 45
+            );
+            const size = 18 + random() * 24;
+            sprite.scale.set(size, size, 1);
+            group.add(sprite);
+        }
+
+        group.userData.fadeMaterials = materials.map(material => ({ material, opacity: material.opacity }));
+        return group;
+    }
 
-            const texture = new THREE.CanvasTexture(canvas);
-            const spriteMaterial = new THREE.SpriteMaterial({
-                map: texture,
+    animateNebula(nebula, ambient, twinkle) {
+        const fade = nebula.userData.fade; // Clouds fade in place rather than growing
+        this.applyLandmarkDrift(nebula, ambient, false);
+        nebula.rotation.y += 0.0006 * ambient;
+
+        // Slow swirl and breathing glow
+        nebula.userData.fadeMaterials.forEach(({ material }, i) => {
+            material.rotation += (i % 2 === 0 ? 0.001 : -0.0015) * ambient;
+        });
+        const breath = 1 + Math.sin(Date.now() * 0.0008 + nebula.userData.phase) * 0.2 * twinkle;
+        this.setLandmarkOpacity(nebula, breath * fade);
+    }
+
+    // Ring gate - a large glowing ring with chevrons, held still so it can be flown through
+    createRingGate(chunk, random) {
+        const group = new THREE.Group();
+        const radius = 16 + random() * 6;
+        const color = this.getCellColor(chunk.gridPos);
+
+        const ringMaterial = new THREE.MeshStandardMaterial({
+            color: this.theme.secondary,
+            emissive: this.theme.secondary,
+            emissiveIntensity: 0.6,
+            metalness: 0.8,
+            roughness: 0.25,
+            transparent: true,
+            opacity: 0.9
+        });
+        const ring = new THREE.Mesh(new THREE.TorusGeometry(radius, 1.2, 12, 64), ringMaterial);
+        group.add(ring);
+
+        // Chevrons around the rim, turning with the ring
+        const chevronMaterial = new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.9 });
+        const chevronCount = 8;
+        for (let i = 0; i < chevronCount; i++) {
+            const angle = (i / chevronCount) * Math.PI * 2;
+            const chevron = new THREE.Mesh(new THREE.ConeGeometry(1.2, 3, 3), chevronMaterial);
+            chevron.position.set(Math.cos(angle) * (radius + 2.2), Math.sin(angle) * (radius + 2.2), 0);
+            chevron.rotation.z = angle + Math.PI / 2; // Point inwards
+            ring.add(chevron);
+        }
+
+        // Faint membrane across the opening that flares when the camera passes through
+        const portalMaterial = new THREE.MeshBasicMaterial({
+            color,
+            transparent: true,
+            opacity: 0.06,
+            side: THREE.DoubleSide,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending
+        });
+        group.add(new THREE.Mesh(new THREE.CircleGeometry(radius - 1, 48), portalMaterial));
+
+        group.userData.ring = ring;
+        group.userData.radius = radius;
+        group.userData.ringMaterial = ringMaterial;
+        group.userData.portalMaterial = portalMaterial;
+        group.userData.side = 0; // Which side of the gate the camera was on last step
+        group.userData.flash = 0;
+        group.userData.fadeMaterials = [
+            { material: ringMaterial, opacity: 0.9 },
+            { material: chevronMaterial, opacity: 0.9 }
+        ];
+        return group;
+    }
+
+    animateRingGate(gate, ambient) {
+        const fade = this.growWithFade(gate);
+        gate.userData.ring.rotation.z += 0.004 * ambient;
+
+        // Flare when the camera crosses the gate's plane inside the ring
+        gate.updateMatrixWorld();
+        const local = gate.worldToLocal(this.tempVector.copy(this.camera.position));
+        const side = Math.sign(local.z);
+        const inside = Math.sqrt(local.x * local.x + local.y * local.y) < gate.userData.radius * gate.scale.x;
+        if (gate.userData.side !== 0 && side !== 0 && side !== gate.userData.side && inside && fade === 1) {
+            gate.userData.flash = 1;
+            this.showHudMessage('GATE CLEARED', 1500);
+        }
+        if (side !== 0) gate.userData.side = side;
+        gate.userData.flash = Math.max(0, gate.userData.flash - 0.02);
+
+        const flash = gate.userData.flash;
+        gate.userData.ringMaterial.emissiveIntensity = 0.6 + flash * 2;
+        gate.userData.portalMaterial.opacity = (0.06 + flash * 0.4) * fade;
+        this.setLandmarkOpacity(gate, fade);
+    }
+
+    // Asteroid cluster - flat-shaded rocks drawn as one InstancedMesh, turning together
+    createAsteroidCluster(chunk, random) {
+        const group = new THREE.Group();
+        const count = 18 + Math.floor(random() * 18);
+        const material = new THREE.MeshStandardMaterial({
+            color: 0x8a8078,
+            roughness: 0.9,
+            metalness: 0.15,
+            flatShading: true,
+            transparent: true,
+            opacity: 1
+        });
+        const rocks = new THREE.InstancedMesh(new THREE.DodecahedronGeometry(1, 0), material, count);
+        rocks.frustumCulled = false; // Instances are spread far beyond the geometry's bounds
+
+        const scale = new THREE.Vector3();
+        const euler = new THREE.Euler();
+        for (let i = 0; i < count; i++) {
+            // A loose, flattened swarm with a few big rocks among many small ones
+            const position = new THREE.Vector3(
+                (random() + random() - 1) * 40,
+                (random() + random() - 1) * 14,
+                (random() + random() - 1) * 40
+            );
+            const size = 1.2 + Math.pow(random(), 3) * 7;
+            scale.set(size * (0.7 + random() * 0.6), size * (0.7 + random() * 0.6), size * (0.7 + random() * 0.6));
+            euler.set(random() * Math.PI * 2, random() * Math.PI * 2, random() * Math.PI * 2);
+            this.tempMatrix.compose(position, this.tempQuaternion.setFromEuler(euler), scale);
+            rocks.setMatrixAt(i, this.tempMatrix);
+        }
+        group.add(rocks);
+
+        group.userData.spin = (random() - 0.5) * 0.004;
+        group.userData.fadeMaterials = [{ material, opacity: 1 }];
+        return group;
+    }
+
+    animateAsteroidCluster(cluster, ambient) {
+        const fade = this.growWithFade(cluster);
+        this.applyLandmarkDrift(cluster, ambient, false);
+        cluster.rotation.y += cluster.userData.spin * ambient;
+        this.setLandmarkOpacity(cluster, fade);
+    }
+
+    // ASCII monolith - a dark upright slab with a word written down both faces in glowing glyphs
+    createMonolith(chunk, random) {
+        const group = new THREE.Group();
+        const word = MONOLITH_WORDS[Math.floor(random() * MONOLITH_WORDS.length)];
+        const color = this.getCellColor(chunk.gridPos);
+        const cell = 6; // World units per glyph
+        const width = cell + 3;
+        const height = word.length * cell + 6;
+
+        const slabGeometry = new THREE.BoxGeometry(width, height, 2);
+        const slabMaterial = new THREE.MeshStandardMaterial({
+            color: 0x07060d,
+            metalness: 0.7,
+            roughness: 0.35,
+            transparent: true,
+            opacity: 0.95
+        });
+        group.add(new THREE.Mesh(slabGeometry, slabMaterial));
+
+        const edgeMaterial = new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.8 });
+        group.add(new THREE.LineSegments(new THREE.EdgesGeometry(slabGeometry), edgeMaterial));
+
+        // One column of glyphs down each face, drawn from the shared glyph atlas
+        const glyphs = this.glyphAtlas.getIndices(Array.from(word));
+        const glyphMesh = this.createGlyphMesh(glyphs.length * 2, 0.9, false);
+        const glyphAttribute = glyphMesh.geometry.attributes.instanceGlyph;
+        const matrix = new THREE.Matrix4();
+        const position = new THREE.Vector3();
+        const rotation = new THREE.Quaternion();
+        const scale = new THREE.Vector3(cell, cell, 1);
+        this.tempColor.setHex(color);
+        [1, -1].forEach((face, side) => {
+            rotation.setFromAxisAngle(new THREE.Vector3(0, 1, 0), face === 1 ? 0 : Math.PI);
+            glyphs.forEach((glyph, i) => {
+                const slot = side * glyphs.length + i;
+                position.set(0, ((glyphs.length - 1) / 2 - i) * cell, face * 1.05);
+                glyphMesh.setMatrixAt(slot, matrix.compose(position, rotation, scale));
+                glyphMesh.setColorAt(slot, this.tempColor);
+                glyphAttribute.setX(slot, glyph);
+            });
+        });
+        group.add(glyphMesh);
+
+        group.userData.word = word;
+        group.userData.glyphMaterial = glyphMesh.material;
+        group.userData.fadeMaterials = [
+            { material: slabMaterial, opacity: 0.95 },
+            { material: edgeMaterial, opacity: 0.8 }
+        ];
+        return group;
+    }
+
+    animateMonolith(monolith, ambient, twinkle) {
+        const fade = this.growWithFade(monolith);
+        monolith.rotation.y += 0.002 * ambient;
+
+        // Glyphs flicker like a failing sign
+        const t = Date.now() * 0.001 + monolith.userData.phase;
+        const flicker = 0.8 + (Math.sin(t * 3) * 0.1 + (Math.sin(t * 17) > 0.97 ? -0.4 : 0)) * twinkle;
+        monolith.userData.glyphMaterial.uniforms.opacity.value = 0.9 * flicker * fade;
+        this.setLandmarkOpacity(monolith, fade);
+    }
+
+    // Wireframe planet - a lattice sphere over a dark body, sometimes ringed, spinning on a tilted axis
+    createWireframePlanet(chunk, random) {
+        const group = new THREE.Group();
+        const radius = 22 + random() * 18;
+        const color = this.getCellColor(chunk.gridPos);
+
+        const bodyMaterial = new THREE.MeshBasicMaterial({ color: 0x030208, transparent: true, opacity: 0.9 });
+        const body = new THREE.Mesh(new THREE.SphereGeometry(radius * 0.98, 24, 16), bodyMaterial);
+        const wireMaterial = new THREE.MeshBasicMaterial({ color, wireframe: true, transparent: true, opacity: 0.55 });
+        const wire = new THREE.Mesh(new THREE.SphereGeometry(radius, 24, 16), wireMaterial);
+        group.add(body);
+        group.add(wire);
+        group.userData.fadeMaterials = [
+            { material: bodyMaterial, opacity: 0.9 },
+            { material: wireMaterial, opacity: 0.55 }
+        ];
+
+        if (random() < 0.5) {
+            const ringMaterial = new THREE.MeshBasicMaterial({
+                color: this.theme.highlight,
+                wireframe: true,
                 transparent: true,
-                opacity: 0.6,
-                blending: THREE.AdditiveBlending
+                opacity: 0.4,
+                side: THREE.DoubleSide
             });
+            const ring = new THREE.Mesh(new THREE.RingGeometry(radius * 1.4, radius * 2, 64, 2), ringMaterial);
+            ring.rotation.x = Math.PI / 2;
+            group.add(ring);
+            group.userData.fadeMaterials.push({ material: ringMaterial, opacity: 0.4 });
+        }
+
+        group.userData.spinners = [body, wire];
+        group.userData.spin = 0.001 + random() * 0.002;
+        return group;
+    }
+
+    animateWireframePlanet(planet, ambient) {
+        const fade = this.growWithFade(planet);
+        planet.userData.spinners.forEach(mesh => {
+            mesh.rotation.y += planet.userData.spin * ambient;
+        });
+        this.setLandmarkOpacity(planet, fade);
+    }
+
+    createAsciiSprites() {
+        this.asciiSprites = [];
+        const random = this.createRandom('sprites');
+        const count = this.options.asciiSpriteCount;
+
+        if (!this.spriteMesh) {
+            this.spriteMesh = this.createGlyphMesh(Math.max(count, 1), 0.6);
+            this.scene.add(this.spriteMesh);
+            this.spritePool = new InstancePool([this.spriteMesh], count);
+        }
+
+        for (let i = 0; i < count; i++) {
+            const sprite = {
+                slot: this.spritePool.acquire(),
+                // Kept so switching glyph sets maps each sprite to the same relative character
+                glyphRoll: random(),
+                colorIndex: Math.floor(random() * this.theme.palette.length), // Into the theme palette
+                rotation: 0
+            };
+            this.spriteMesh.setColorAt(sprite.slot, this.tempColor.setHex(this.theme.palette[sprite.colorIndex]));
+
+            sprite.position = new THREE.Vector3(
+                (random() - 0.5) * this.spriteFieldSize,
+                (random() - 0.5) * this.spriteFieldSize,
+                (random() - 0.5) * this.spriteFieldSize
+            );
+            // Normalized scale: 4-5 instead of 4-7
+            sprite.scale = new THREE.Vector3(4 + random() * 1, 4 + random() * 1, 1);
+
+            // Normalized velocity: reduced variance
+            sprite.velocity = {
+                x: (random() - 0.5) * 0.05,
+                y: (random() - 0.5) * 0.05,
+                z: (random() - 0.5) * 0.05,
+                rotation: (random() - 0.5) * 0.015
+            };
+            sprite.fade = 1; // Shrinks near the edge of the wrap box
+
+            this.asciiSprites.push(sprite);
+            this.updateSpriteInstance(sprite);
+        }
+
+        this.applyGlyphSet();
+        this.spriteMesh.instanceColor.needsUpdate = true;
+        this.markSpritesDirty();
+    }
+
+    recolorAsciiSprites() {
+        this.asciiSprites.forEach(sprite => {
+            this.spriteMesh.setColorAt(sprite.slot, this.tempColor.setHex(this.theme.palette[sprite.colorIndex]));
+        });
+    }
+
+    // Switch the ASCII sprites to another entry of GLYPH_SETS
+    setGlyphSet(name) {
+        if (!GLYPH_SETS[name]) {
+            console.warn(`AsciiBackground: unknown glyph set "${name}", expected one of ${Object.keys(GLYPH_SETS).join(', ')}`);
+            return;
+        }
+        this.glyphSet = name;
+        this.applyGlyphSet();
+        this.needsRender = true;
+    }
+
+    applyGlyphSet() {
+        const indices = this.glyphAtlas.getIndices(GLYPH_SETS[this.glyphSet]);
+        const glyphs = this.spriteMesh.geometry.attributes.instanceGlyph;
+        this.asciiSprites.forEach(sprite => {
+            glyphs.setX(sprite.slot, indices[Math.floor(sprite.glyphRoll * indices.length)]);
+        });
+        glyphs.needsUpdate = true;
+    }
+
+    updateSpriteInstance(sprite) {
+        const scale = this.tempScale.copy(sprite.scale).multiplyScalar(sprite.fade);
+        this.tempMatrix.compose(sprite.position, this.tempQuaternion.identity(), scale);
+        this.spriteMesh.setMatrixAt(sprite.slot, this.tempMatrix);
+        this.spriteMesh.geometry.attributes.instanceRotation.setX(sprite.slot, sprite.rotation);
+    }
+
+    markSpritesDirty() {
+        this.spriteMesh.instanceMatrix.needsUpdate = true;
+        this.spriteMesh.geometry.attributes.instanceRotation.needsUpdate = true;
+    }
+
+    // Debris comes in three kinds, each one InstancedMesh drawn from its own slot pool
+    createDebrisInstances() {
+        // Tiers only ever scale the counts down, so the configured counts bound every pool
+        const capacity = Math.max(this.options.debrisCount, this.options.minDebrisCount) + 5;
+
+        // Sparkles glow in their instance colour
+        const sparkleMaterial = new THREE.MeshStandardMaterial({
+            color: 0xFFFFFF,
+            emissive: 0xFFFFFF,
+            emissiveIntensity: 0.8,
+            metalness: 0.9,
+            roughness: 0.2,
+            transparent: true,
+            opacity: 0.65
+        });
+        sparkleMaterial.onBeforeCompile = (shader) => {
+            shader.fragmentShader = shader.fragmentShader.replace(
+                'vec3 totalEmissiveRadiance = emissive;',
+                'vec3 totalEmissiveRadiance = emissive * vColor;'
+            );
+        };
+
+        // Glyphs are billboards cut from the shared atlas
+        this.debrisGlyphIndices = this.glyphAtlas.getIndices(this.debrisGlyphs);
+
+        const meshes = {
+            sparkle: new THREE.InstancedMesh(new THREE.SphereGeometry(1, 8, 8), sparkleMaterial, capacity),
+            shard: new THREE.InstancedMesh(new THREE.TetrahedronGeometry(1), this.createShardMaterial(), capacity),
+            glyph: this.createGlyphMesh(capacity, 0.65)
+        };
+
+        this.debrisMeshes = meshes;
+        this.debrisPools = {};
+        Object.keys(meshes).forEach(kind => {
+            const mesh = meshes[kind];
+            if (!mesh.instanceColor) {
+                mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+                mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+                mesh.frustumCulled = false;
+            }
+            this.scene.add(mesh);
+            this.debrisPools[kind] = new InstancePool([mesh], capacity);
+        });
+    }
 
-            const sprite = new THREE.Sprite(spriteMaterial);
-            sprite.position.set(
-                (Math.random() - 0.5) * 200,
-                (Math.random() - 0.5) * 200,
-                (Math.random() - 0.5) * 200
-            );
-            // Normalized scale: 4-5 instead of 4-7
-            sprite.scale.set(4 + Math.random() * 1, 4 + Math.random() * 1, 1);
+    // Small crystal shards - rebuilt when the quality tier changes material type
+    createShardMaterial() {
+        return this.createCrystalMaterial({
+            color: 0xFFFFFF, // Tinted per instance
+            metalness: 0.1,
+            roughness: 0.1,
+            transparent: true,
+            opacity: 0.65,
+            transmission: 0.8,
+            envMapIntensity: 1.0,
+            side: THREE.FrontSide
+        });
+    }
 
-            // Normalized velocity: reduced variance
-            sprite.velocity = {
-                x: (Math.random() - 0.5) * 0.05,
-                y: (Math.random() - 0.5) * 0.05,
-                z: (Math.random() - 0.5) * 0.05,
-                rotation: (Math.random() - 0.5) * 0.015
-            };
+    // Camera-facing glyph quads, one per instance. Each instance picks an atlas cell with
+    // instanceGlyph, spins with instanceRotation and is tinted by its instance colour.
+    // With billboard off the quads keep their instance matrix instead (e.g. lettering on a surface).
+    createGlyphMesh(capacity, opacity, billboard = true) {
+        const geometry = new THREE.PlaneGeometry(1, 1);
+        geometry.setAttribute('instanceGlyph', new THREE.InstancedBufferAttribute(new Float32Array(capacity), 1));
+        geometry.setAttribute('instanceRotation', new THREE.InstancedBufferAttribute(new Float32Array(capacity), 1));
+
+        const atlas = this.glyphAtlas;
+        const uniforms = THREE.UniformsUtils.clone(THREE.UniformsLib.fog);
+        uniforms.map = atlas.uniforms.map; // Shared, so atlas growth reaches every material
+        uniforms.atlasGrid = atlas.uniforms.grid;
+        uniforms.opacity = { value: opacity };
+
+        const material = new THREE.ShaderMaterial({
+            uniforms,
+            vertexShader: `
+                attribute float instanceGlyph;
+                attribute float instanceRotation;
+                varying vec2 vUv;
+                varying vec3 vColor;
+                varying float vGlyph;
+                #include <fog_pars_vertex>
+
+                void main() {
+                    vUv = uv;
+                    vColor = instanceColor;
+                    vGlyph = instanceGlyph;
+
+                    #ifdef FLAT_GLYPHS
+                    vec4 mvPosition = modelViewMatrix * instanceMatrix * vec4(position, 1.0);
+                    #else
+                    // Billboard - offset the quad in view space from the instance's position
+                    vec4 mvPosition = modelViewMatrix * vec4(instanceMatrix[3].xyz, 1.0);
+                    vec2 corner = position.xy * vec2(length(instanceMatrix[0].xyz), length(instanceMatrix[1].xyz));
+                    float c = cos(instanceRotation);
+                    float s = sin(instanceRotation);
+                    mvPosition.xy += vec2(c * corner.x - s * corner.y, s * corner.x + c * corner.y);
+                    #endif
+                    gl_Position = projectionMatrix * mvPosition;
+                    #include <fog_vertex>
+                }
+            `,
+            fragmentShader: `
+                uniform sampler2D map;
+                uniform vec2 atlasGrid;
+                uniform float opacity;
+                varying vec2 vUv;
+                varying vec3 vColor;
+                varying float vGlyph;
+                #include <fog_pars_fragment>
+
+                void main() {
+                    // Atlas cells run left to right, top to bottom; the texture is flipped in y
+                    float glyph = floor(vGlyph + 0.5);
+                    vec2 cell = vec2(mod(glyph, atlasGrid.x), floor(glyph / atlasGrid.x));
+                    vec2 atlasUv = vec2((cell.x + vUv.x) / atlasGrid.x, 1.0 - (cell.y + 1.0 - vUv.y) / atlasGrid.y);
+                    float ink = texture2D(map, atlasUv).a;
+                    gl_FragColor = vec4(vColor, ink * opacity);
+                    #include <fog_fragment>
+                }
+            `,
+            defines: billboard ? {} : { FLAT_GLYPHS: '' },
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending,
+            fog: true
+        });
 
-            this.asciiSprites.push(sprite);
-            this.scene.add(sprite);
-        }
+        const mesh = new THREE.InstancedMesh(geometry, material, capacity);
+        mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        mesh.frustumCulled = false;
+        return mesh;
     }
 
     createFloatingDebris() {
         // Create procedural floating sparkles and debris in view cone
-        const debrisCount = 300;
+        const debrisCount = this.debrisCount;
+
+        // Debris keeps spawning as the camera moves, so it draws from one ongoing stream
+        this.debrisRandom = this.createRandom('debris');
 
         for (let i = 0; i < debrisCount; i++) {
             // Random position in a sphere around camera
-            const angle = Math.random() * Math.PI * 2;
-            const angle2 = Math.random() * Math.PI;
-            const distance = 50 + Math.random() * 200;
+            const angle = this.debrisRandom() * Math.PI * 2;
+            const angle2 = this.debrisRandom() * Math.PI;
+            const distance = 50 + this.debrisRandom() * 200;
 
             const x = Math.cos(angle) * Math.sin(angle2) * distance;
             const y = Math.sin(angle) * Math.sin(angle2) * distance;
             const z = Math.cos(angle2) * distance;
 
-            const debris = this.createDebrisParticle();
-            debris.position.set(
+            const debris = this.createDebrisParticle(new THREE.Vector3(
                 this.camera.position.x + x,
                 this.camera.position.y + y,
                 this.camera.position.z + z
-            );
+            ));
+            if (debris) {
+                this.floatingDebris.push(debris);
+            }
+        }
+        this.markDebrisDirty();
+    }
 
+    // Claim a pool slot for a new piece of debris. Returns its record, or null if the pool is full.
+    createDebrisParticle(position) {
+        // The mix and colours follow the biome around the camera
+        const [sparkleWeight, shardWeight, glyphWeight] = this.biome.debris;
+        const type = this.debrisRandom() * (sparkleWeight + shardWeight + glyphWeight);
+        const scale = new THREE.Vector3();
+        let kind;
+        let colorRoll; // Picks from getDebrisColors - kept so a theme change can repaint it
+        let glyph = 0;
+
+        if (type < sparkleWeight) {
+            // Sparkle particle - normalized size
+            kind = 'sparkle';
+            colorRoll = this.debrisRandom();
+            const radius = 0.25 + this.debrisRandom() * 0.1; // 0.25-0.35
+            scale.set(radius, radius, radius);
+        } else if (type < sparkleWeight + shardWeight) {
+            // Small crystal shard - normalized size, no gold
+            kind = 'shard';
+            colorRoll = this.debrisRandom();
+            const radius = 0.6 + this.debrisRandom() * 0.2; // 0.6-0.8
+            scale.set(radius, radius, radius);
+        } else {
+            // ASCII character billboard
+            kind = 'glyph';
+            glyph = Math.floor(this.debrisRandom() * this.debrisGlyphs.length);
+            colorRoll = this.debrisRandom();
+            scale.set(1.8 + this.debrisRandom() * 0.4, 1.8 + this.debrisRandom() * 0.4, 1); // 1.8-2.2
+        }
+
+        const debris = {
+            kind,
+            colorRoll,
+            slot: this.debrisPools[kind].acquire(),
+            position: position.clone(),
+            rotation: new THREE.Euler(),
+            scale,
             // Store velocity - normalized
-            debris.userData.velocity = {
-                x: (Math.random() - 0.5) * 0.03,
-                y: (Math.random() - 0.5) * 0.03,
-                z: (Math.random() - 0.5) * 0.03
-            };
-            debris.userData.rotationSpeed = (Math.random() - 0.5) * 0.015;
+            velocity: {
+                x: (this.debrisRandom() - 0.5) * 0.03,
+                y: (this.debrisRandom() - 0.5) * 0.03,
+                z: (this.debrisRandom() - 0.5) * 0.03
+            },
+            rotationSpeed: (this.debrisRandom() - 0.5) * 0.015
+        };
+        if (debris.slot === -1) return null;
 
-            this.floatingDebris.push(debris);
-            this.scene.add(debris);
+        const mesh = this.debrisMeshes[kind];
+        this.recolorDebris(debris);
+        if (kind === 'glyph') {
+            mesh.geometry.attributes.instanceGlyph.setX(debris.slot, this.debrisGlyphIndices[glyph]);
         }
+        this.updateDebrisInstance(debris);
+        return debris;
     }
 
-    createDebrisParticle() {
-        const type = Math.random();
+    // Biome colours plus the theme highlight (gold under vaporwave); shards never take the highlight
+    recolorDebris(debris) {
+        const colors = this.getBiomePalette().concat(this.theme.highlight);
+        const count = debris.kind === 'shard' ? colors.length - 1 : colors.length;
+        const color = colors[Math.floor(debris.colorRoll * count)];
+        this.debrisMeshes[debris.kind].setColorAt(debris.slot, this.tempColor.setHex(color));
+    }
 
-        if (type < 0.3) {
-            // Sparkle particle - normalized size
-            const colors = [0x9d4edd, 0x00e5ff, 0x5b7fff, 0xffd700]; // Purple, cyan, blue, gold
-            const sparkleColor = colors[Math.floor(Math.random() * colors.length)];
-            const geometry = new THREE.SphereGeometry(0.25 + Math.random() * 0.1, 8, 8); // 0.25-0.35
-            const material = new THREE.MeshStandardMaterial({
-                color: sparkleColor,
-                emissive: sparkleColor,
-                emissiveIntensity: 0.8,
-                metalness: 0.9,
-                roughness: 0.2,
-                transparent: true,
-                opacity: 0.65
-            });
-            return new THREE.Mesh(geometry, material);
-        } else if (type < 0.6) {
-            // Small crystal shard - normalized size
-            const colors = [0x9d4edd, 0x00e5ff, 0x5b7fff]; // Purple, cyan, blue
-            const shardColor = colors[Math.floor(Math.random() * colors.length)];
-            const geometry = new THREE.TetrahedronGeometry(0.6 + Math.random() * 0.2); // 0.6-0.8
-            const material = new THREE.MeshPhysicalMaterial({
-                color: shardColor,
-                metalness: 0.1,
-                roughness: 0.1,
-                transparent: true,
-                opacity: 0.65,
-                transmission: 0.8,
-                envMap: this.envMap,
-                envMapIntensity: 1.0,
-                side: THREE.FrontSide
-            });
-            return new THREE.Mesh(geometry, material);
-        } else {
-            // ASCII character sprite
-            const canvas = document.createElement('canvas');
-            const context = canvas.getContext('2d');
-            canvas.width = 32;
-            canvas.height = 32;
-
-            const chars = ['◆', '◇', '★', '✦', '✧', '※', '+', '*', '·'];
-            const char = chars[Math.floor(Math.random() * chars.length)];
-            const colors = ['#9d4edd', '#00e5ff', '#5b7fff', '#ffd700']; // Purple, cyan, blue, gold
-            const color = colors[Math.floor(Math.random() * colors.length)];
-
-            context.font = 'Bold 28px monospace';
-            context.fillStyle = color;
-            context.textAlign = 'center';
-            context.textBaseline = 'middle';
-            context.fillText(char, 16, 16);
-
-            const texture = new THREE.CanvasTexture(canvas);
-            const spriteMaterial = new THREE.SpriteMaterial({
-                map: texture,
-                transparent: true,
-                opacity: 0.65,
-                blending: THREE.AdditiveBlending
-            });
+    updateDebrisInstance(debris) {
+        this.tempQuaternion.setFromEuler(debris.rotation);
+        this.tempMatrix.compose(debris.position, this.tempQuaternion, debris.scale);
+        this.debrisMeshes[debris.kind].setMatrixAt(debris.slot, this.tempMatrix);
+    }
 
-            const sprite = new THREE.Sprite(spriteMaterial);
-            sprite.scale.set(1.8 + Math.random() * 0.4, 1.8 + Math.random() * 0.4, 1); // 1.8-2.2
-            return sprite;
-        }
+    removeDebris(debris) {
+        this.debrisPools[debris.kind].release(debris.slot);
+    }
+
+    // Upload this step's debris changes in one go per mesh
+    markDebrisDirty() {
+        Object.values(this.debrisMeshes).forEach(mesh => {
+            mesh.instanceMatrix.needsUpdate = true;
+            mesh.instanceColor.needsUpdate = true;
+        });
+        this.debrisMeshes.glyph.geometry.attributes.instanceGlyph.needsUpdate = true;
     }
 
-    updateFloatingDebris() {
+    updateFloatingDebris(ambient = 1) {
         // Update debris positions and cull those outside frustum
         this.floatingDebris = this.floatingDebris.filter(debris => {
             // Move debris
-            if (debris.userData.velocity) {
-                debris.position.x += debris.userData.velocity.x;
-                debris.position.y += debris.userData.velocity.y;
-                debris.position.z += debris.userData.velocity.z;
-            }
+            debris.position.x += debris.velocity.x * ambient;
+            debris.position.y += debris.velocity.y * ambient;
+            debris.position.z += debris.velocity.z * ambient;
 
-            // Rotate debris
-            if (debris.userData.rotationSpeed) {
-                debris.rotation.x += debris.userData.rotationSpeed;
-                debris.rotation.y += debris.userData.rotationSpeed * 0.7;
-                debris.rotation.z += debris.userData.rotationSpeed * 0.5;
-            }
+            // Rotate debris (glyph billboards always face the camera, so this only affects meshes)
+            debris.rotation.x += debris.rotationSpeed * ambient;
+            debris.rotation.y += debris.rotationSpeed * 0.7 * ambient;
+            debris.rotation.z += debris.rotationSpeed * 0.5 * ambient;
 
             // Check if in frustum
             const inFrustum = this.isInViewFrustum(debris.position);
@@ -1313,24 +3908,30 @@ class AsciiBackground {
 
             // Remove if too far or behind camera
             if (distance > 250 || (!inFrustum && distance > 100)) {
-                this.scene.remove(debris);
+                this.removeDebris(debris);
                 return false;
             }
 
+            this.updateDebrisInstance(debris);
             return true;
         });
 
         // Add new debris if count is low
-        if (this.floatingDebris.length < 200) {
+        // Shed extra debris after the quality tier drops
+        if (this.floatingDebris.length > this.debrisCount) {
+            this.floatingDebris.splice(0, 5).forEach(debris => this.removeDebris(debris));
+        }
+
+        if (this.floatingDebris.length < this.minDebrisCount) {
             for (let i = 0; i < 5; i++) {
                 // Get camera forward direction
                 const forward = new THREE.Vector3(0, 0, -1);
                 forward.applyQuaternion(this.camera.quaternion);
 
                 // Random angle around forward direction
-                const angle = Math.random() * Math.PI * 2;
-                const angle2 = (Math.random() - 0.5) * Math.PI * 0.8; // Within view cone
-                const distance = 100 + Math.random() * 150;
+                const angle = this.debrisRandom() * Math.PI * 2;
+                const angle2 = (this.debrisRandom() - 0.5) * Math.PI * 0.8; // Within view cone
+                const distance = 100 + this.debrisRandom() * 150;
 
                 const right = new THREE.Vector3(1, 0, 0);
                 right.applyQuaternion(this.camera.quaternion);
@@ -1341,55 +3942,558 @@ class AsciiBackground {
                 offset.add(right.clone().multiplyScalar(Math.cos(angle) * distance * Math.sin(angle2)));
                 offset.add(up.clone().multiplyScalar(Math.sin(angle) * distance * Math.sin(angle2)));
 
-                const debris = this.createDebrisParticle();
-                debris.position.copy(this.camera.position).add(offset);
+                const debris = this.createDebrisParticle(this.camera.position.clone().add(offset));
+                if (debris) {
+                    this.floatingDebris.push(debris);
+                }
+            }
+        }
 
-                debris.userData.velocity = {
-                    x: (Math.random() - 0.5) * 0.03,
-                    y: (Math.random() - 0.5) * 0.03,
-                    z: (Math.random() - 0.5) * 0.03
-                };
-                debris.userData.rotationSpeed = (Math.random() - 0.5) * 0.015;
+        this.markDebrisDirty();
+    }
 
-                this.floatingDebris.push(debris);
-                this.scene.add(debris);
-            }
+    // ==========================================
+    // SERPENTS
+    // Segmented ASCII creatures drawn as glyph billboards from the shared atlas. Heads flock with
+    // boids rules (separation, alignment, cohesion), steer around nearby landmarks, stay in the
+    // camera's neighbourhood and scatter when the camera flies at them; bodies trail the head.
+    // ==========================================
+
+    createSerpents() {
+        this.serpents = [];
+        const count = this.options.serpentCount;
+        if (count === 0) return;
+
+        const segments = this.serpentGlyphs.length;
+        if (!this.serpentMesh) {
+            this.serpentMesh = this.createGlyphMesh(count * segments, 0.9);
+            this.scene.add(this.serpentMesh);
+        }
+
+        const random = this.createRandom('serpents');
+        const glyphs = this.glyphAtlas.getIndices(this.serpentGlyphs);
+        const glyphAttribute = this.serpentMesh.geometry.attributes.instanceGlyph;
+
+        for (let i = 0; i < count; i++) {
+            const direction = new THREE.Vector3(random() - 0.5, (random() - 0.5) * 0.4, random() - 0.5).normalize();
+            const head = this.camera.position.clone().add(new THREE.Vector3(
+                (random() - 0.5) * 200,
+                (random() - 0.5) * 80,
+                (random() - 0.5) * 200
+            ));
+            const serpent = {
+                slot: i * segments, // First of its consecutive instance slots, head first
+                segments: glyphs.map((glyph, j) => head.clone().addScaledVector(direction, -j * this.serpentSpacing)),
+                velocity: direction.multiplyScalar(0.6),
+                phase: random() * Math.PI * 2, // Offsets the swimming wiggle
+                scatter: 0, // Raised when the camera charges at it, boosting speed
+                fade: 0,
+                colorRoll: random() // Picks from the biome palette (see recolorSerpents)
+            };
+
+            glyphs.forEach((glyph, j) => {
+                glyphAttribute.setX(serpent.slot + j, glyph);
+            });
+            this.serpents.push(serpent);
         }
+
+        glyphAttribute.needsUpdate = true;
+        this.recolorSerpents();
     }
 
-    setupEventListeners() {
-        // Keyboard controls
-        document.addEventListener('keydown', (e) => {
-            if (this.keys.hasOwnProperty(e.key)) {
-                this.keys[e.key] = true;
-                e.preventDefault();
-                // Only break auto-pilot on WASD and arrow keys
-                this.resetIdleTimer();
-            }
+    // Colour each serpent from the palette of the biome around the camera
+    recolorSerpents() {
+        if (this.serpents.length === 0) return;
+
+        const palette = this.getBiomePalette();
+        this.serpents.forEach(serpent => {
+            this.tempColor.setHex(palette[Math.floor(serpent.colorRoll * palette.length)]);
+            serpent.segments.forEach((segment, j) => {
+                this.serpentMesh.setColorAt(serpent.slot + j, this.tempColor);
+            });
         });
+        this.serpentMesh.instanceColor.needsUpdate = true;
+    }
+
+    // Move the serpents one simulation step
+    updateSerpents(ambient) {
+        if (this.serpents.length === 0) return;
+
+        const camera = this.camera.position;
+        const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(this.camera.quaternion);
+        const home = camera.clone().addScaledVector(forward, 60); // Where strays are herded back to
+        const force = new THREE.Vector3();
+        const center = new THREE.Vector3();
+        const heading = new THREE.Vector3();
+        const offset = new THREE.Vector3();
+
+        this.serpents.forEach(serpent => {
+            const head = serpent.segments[0];
+            force.set(0, 0, 0);
+
+            // Boids: keep apart up close, match heading and drift together further out
+            center.set(0, 0, 0);
+            heading.set(0, 0, 0);
+            let neighbours = 0;
+            this.serpents.forEach(other => {
+                if (other === serpent) return;
+                const otherHead = other.segments[0];
+                const distance = head.distanceTo(otherHead);
+                if (distance > 80) return;
+                center.add(otherHead);
+                heading.add(other.velocity);
+                neighbours++;
+                if (distance < 25 && distance > 0) {
+                    force.addScaledVector(offset.subVectors(head, otherHead).normalize(), (1 - distance / 25) * 0.05);
+                }
+            });
+            if (neighbours > 0) {
+                force.addScaledVector(center.divideScalar(neighbours).sub(head), 0.0005);
+                force.addScaledVector(heading.divideScalar(neighbours).sub(serpent.velocity), 0.02);
+            }
+
+            // Swim around landmarks in the neighbouring cells rather than through them
+            const cell = this.getGridPosition(head);
+            for (let x = cell.x - 1; x <= cell.x + 1; x++) {
+                for (let y = cell.y - 1; y <= cell.y + 1; y++) {
+                    for (let z = cell.z - 1; z <= cell.z + 1; z++) {
+                        const chunk = this.chunks.get(`${x},${y},${z}`);
+                        if (!chunk) continue;
+                        const radius = LANDMARK_TYPES[chunk.landmark].radius + 20; // Room for the landmark's drift
+                        const distance = head.distanceTo(chunk.worldPos);
+                        if (distance < radius && distance > 0) {
+                            force.addScaledVector(offset.subVectors(head, chunk.worldPos).normalize(), (1 - distance / radius) * 0.08);
+                        }
+                    }
+                }
+            }
+
+            // Scatter when the camera is heading straight for it
+            offset.subVectors(head, camera);
+            const cameraDistance = offset.length();
+            if (cameraDistance < 70 && cameraDistance > 0 && this.velocity.dot(offset) / cameraDistance > 0.1) {
+                force.addScaledVector(offset.normalize(), (1 - cameraDistance / 70) * 0.15);
+                serpent.scatter = 1;
+            }
+
+            // Herd strays back towards the camera
+            const homeDistance = head.distanceTo(home);
+            if (homeDistance > 120) {
+                force.addScaledVector(offset.subVectors(home, head).normalize(), Math.min(0.05, (homeDistance - 120) * 0.0002));
+            }
+
+            // Sideways wiggle as it swims
+            serpent.phase += 0.08 * ambient;
+            offset.set(-serpent.velocity.z, 0, serpent.velocity.x).normalize();
+            force.addScaledVector(offset, Math.sin(serpent.phase) * 0.02);
+
+            serpent.velocity.addScaledVector(force, ambient);
+            const maxSpeed = 0.8 + serpent.scatter * 1.6;
+            const speed = serpent.velocity.length();
+            serpent.velocity.setLength(Math.min(maxSpeed, Math.max(0.3, speed)));
+            serpent.scatter = Math.max(0, serpent.scatter - 0.01 * ambient);
+            head.addScaledVector(serpent.velocity, ambient);
+
+            // Left far behind (e.g. after a bookmark jump) - slip back in ahead of the camera
+            if (head.distanceTo(camera) > 600) {
+                offset.subVectors(head, home);
+                serpent.segments.forEach(segment => segment.sub(offset));
+                serpent.fade = 0;
+            }
 
-        document.addEventListener('keyup', (e) => {
-            if (this.keys.hasOwnProperty(e.key)) {
-                this.keys[e.key] = false;
-                e.preventDefault();
+            // Each segment trails the one in front at a fixed spacing
+            for (let j = 1; j < serpent.segments.length; j++) {
+                const segment = serpent.segments[j];
+                offset.subVectors(segment, serpent.segments[j - 1]);
+                if (offset.length() > this.serpentSpacing) {
+                    segment.copy(serpent.segments[j - 1]).addScaledVector(offset.normalize(), this.serpentSpacing);
+                }
             }
+
+            serpent.fade = Math.min(1, serpent.fade + 0.01);
+            this.updateSerpentInstances(serpent);
+        });
+
+        this.serpentMesh.instanceMatrix.needsUpdate = true;
+        this.serpentMesh.geometry.attributes.instanceRotation.needsUpdate = true;
+    }
+
+    // Place a serpent's glyphs, tapering towards the tail and turned along the body on screen
+    updateSerpentInstances(serpent) {
+        const mesh = this.serpentMesh;
+        const rotations = mesh.geometry.attributes.instanceRotation;
+        const view = this.tempQuaternion.copy(this.camera.quaternion).invert();
+        const count = serpent.segments.length;
+
+        serpent.segments.forEach((segment, j) => {
+            const direction = j === 0
+                ? this.tempVector.copy(serpent.velocity)
+                : this.tempVector.subVectors(serpent.segments[j - 1], segment);
+            direction.applyQuaternion(view);
+
+            const size = (6 - (j / count) * 3.5) * serpent.fade;
+            this.tempMatrix.makeScale(size, size, 1).setPosition(segment);
+            mesh.setMatrixAt(serpent.slot + j, this.tempMatrix);
+            rotations.setX(serpent.slot + j, Math.atan2(direction.y, direction.x));
         });
+    }
+
+    setupEventListeners() {
+        // Handlers are kept on the instance so destroy() can remove them again
 
-        // Note: Mouse movement and scroll do NOT reset idle timer
-        // Auto-pilot only breaks on WASD/arrow key input
+        // Back/forward between bookmarks flies to each one
+        this.handleHashChange = () => {
+            const bookmark = AsciiBackground.parseLocation(window.location.hash);
+            if (bookmark) {
+                this.flyToLocation(bookmark);
+            }
+        };
+
+        // Follow OS reduced-motion changes unless the visitor chose with the toggle
+        this.handleReducedMotionChange = () => {
+            this.setReducedMotion(this.getReducedMotionPreference(), false);
+        };
+
+        // Note: Mouse movement and scroll do NOT reset idle timer outside mouse look
+        // Auto-pilot only breaks on flight input
 
         // Resize
-        window.addEventListener('resize', () => {
+        this.handleResize = () => {
             this.camera.aspect = window.innerWidth / window.innerHeight;
             this.camera.updateProjectionMatrix();
             this.renderer.setSize(window.innerWidth, window.innerHeight);
+            this.resizeAsciiPass();
+            this.needsRender = true;
 
             // Resize HUD canvas
             if (this.hudCanvas) {
                 this.hudCanvas.width = window.innerWidth;
                 this.hudCanvas.height = window.innerHeight;
             }
-        });
+        };
+
+        // Stop rendering while the tab is hidden or the canvas is scrolled away
+        this.handleVisibilityChange = () => {
+            if (document.hidden) {
+                this.pause('hidden');
+            } else {
+                this.resume('hidden');
+            }
+        };
+
+        // Keyboard controls
+        this.input.attach();
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        window.addEventListener('hashchange', this.handleHashChange);
+        window.addEventListener('resize', this.handleResize);
+        if (this.reducedMotionQuery) {
+            this.reducedMotionQuery.addEventListener('change', this.handleReducedMotionChange);
+        }
+
+        if ('IntersectionObserver' in window) {
+            this.visibilityObserver = new IntersectionObserver((entries) => {
+                if (entries[0].isIntersecting) {
+                    this.resume('offscreen');
+                } else {
+                    this.pause('offscreen');
+                }
+            });
+            this.visibilityObserver.observe(this.canvas);
+        }
+    }
+
+    removeEventListeners() {
+        this.input.detach();
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        window.removeEventListener('hashchange', this.handleHashChange);
+        window.removeEventListener('resize', this.handleResize);
+        if (this.reducedMotionQuery) {
+            this.reducedMotionQuery.removeEventListener('change', this.handleReducedMotionChange);
+        }
+        if (this.visibilityObserver) {
+            this.visibilityObserver.disconnect();
+            this.visibilityObserver = null;
+        }
+    }
+
+    // Stop the animation loop. Each reason ('user', 'hidden', 'offscreen') must be resumed separately.
+    pause(reason = 'user') {
+        if (this.destroyed) return;
+
+        if (this.pauseReasons.size === 0) {
+            this.pausedAt = Date.now();
+        }
+        this.pauseReasons.add(reason);
+
+        if (this.animationFrameId !== null) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+    }
+
+    resume(reason = 'user') {
+        if (this.destroyed || !this.pauseReasons.delete(reason) || this.pauseReasons.size > 0) return;
+
+        // Time spent paused doesn't count towards auto-pilot
+        this.idleTimer += Date.now() - this.pausedAt;
+        this.startLoop();
+    }
+
+    get paused() {
+        return this.pauseReasons.size > 0;
+    }
+
+    startLoop() {
+        if (this.animationFrameId !== null || this.pauseReasons.size > 0 || this.destroyed) return;
+
+        // Restart the clock so the paused time isn't simulated as one long frame
+        this.lastFrameTime = null;
+        this.simulationAccumulator = 0;
+        this.needsRender = true;
+        this.animationFrameId = requestAnimationFrame(this.animate);
+    }
+
+    // Stop everything, remove listeners and DOM elements, and free all GPU resources
+    destroy() {
+        if (this.destroyed) return;
+
+        this.pause('destroyed');
+        this.destroyed = true;
+        this.removeEventListeners();
+
+        this.scene.traverse(object => this.disposeObject(object, false));
+        this.scene.clear();
+        this.loadedLandmarks.clear();
+        this.distantStars.clear();
+        this.lowPolyCrystals.clear();
+        this.chunks.clear();
+        this.fadingChunks.clear();
+        this.detailedChunks.clear();
+        this.chunkQueue = [];
+        this.lightPool = [];
+        this.floatingDebris = [];
+        this.starPool = null;
+        this.lowPolyPool = null;
+        this.debrisPools = null;
+        this.starMeshes = null;
+        this.lowPolyMesh = null;
+        this.debrisMeshes = null;
+        this.spritePool = null;
+        this.spriteMesh = null;
+        this.serpents = [];
+        this.serpentMesh = null;
+        this.asciiSprites = [];
+        this.particleField = null;
+
+        if (this.glyphAtlas) {
+            this.glyphAtlas.dispose();
+            this.glyphAtlas = null;
+        }
+
+        if (this.skybox) {
+            this.skybox.target.dispose();
+            this.skybox.material.dispose();
+            this.skybox.scene.traverse(object => this.disposeObject(object, false));
+            if (this.skybox.envTarget) {
+                this.skybox.envTarget.dispose();
+            }
+            this.skybox.pmrem.dispose();
+            this.skybox = null;
+            this.envMap = null;
+        }
+        if (this.nebulaTexture) {
+            this.nebulaTexture.dispose();
+            this.nebulaTexture = null;
+        }
+
+        const pass = this.asciiPass;
+        if (pass.material) {
+            pass.target.dispose();
+            pass.material.dispose();
+            pass.glyphTexture.dispose();
+            pass.scene.traverse(object => this.disposeObject(object, false));
+        }
+
+        this.renderer.dispose();
+
+        if (this.hudCanvas) {
+            this.hudCanvas.remove();
+            this.hudCanvas = null;
+        }
+        if (this.motionToggle) {
+            this.motionToggle.remove();
+            this.motionToggle = null;
+        }
+        if (this.themeToggle) {
+            this.themeToggle.remove();
+            this.themeToggle = null;
+        }
+        if (this.flightToggle) {
+            this.flightToggle.remove();
+            this.flightToggle = null;
+        }
+        if (this.keysToggle) {
+            this.keysToggle.remove();
+            this.keysPanel.remove();
+            this.keysToggle = null;
+            this.keysPanel = null;
+        }
+        document.documentElement.classList.remove('flight-mode');
+    }
+
+    // Free the geometry, materials and textures behind an object (and, by default, its children).
+    // The shared environment map and nebula texture are left alone.
+    disposeObject(object, recursive = true) {
+        const disposeOne = (child) => {
+            // Sprites share one built-in geometry, so only their materials are freed
+            if (child.geometry && !child.isSprite) {
+                child.geometry.dispose();
+            }
+            if (child.isInstancedMesh) {
+                child.dispose();
+            }
+            if (child.material) {
+                const materials = Array.isArray(child.material) ? child.material : [child.material];
+                materials.forEach(material => {
+                    if (material.map && material.map !== this.envMap && material.map !== this.nebulaTexture) {
+                        material.map.dispose();
+                    }
+                    material.dispose();
+                });
+            }
+        };
+
+        if (recursive) {
+            object.traverse(disposeOne);
+        } else {
+            disposeOne(object);
+        }
+    }
+
+    // Take an object out of the scene and free its GPU resources
+    removeObject(object) {
+        this.scene.remove(object);
+        this.disposeObject(object);
+    }
+
+    // Location bookmarks look like #loc=x,y,z/qx,qy,qz,qw/seed so they don't clash with section anchors
+    serializeLocation() {
+        const p = this.camera.position;
+        const q = this.camera.quaternion;
+        const position = [p.x, p.y, p.z].map(v => v.toFixed(2)).join(',');
+        const quaternion = [q.x, q.y, q.z, q.w].map(v => v.toFixed(4)).join(',');
+        return `loc=${position}/${quaternion}/${this.seed}`;
+    }
+
+    // Returns { position, quaternion, seed } or null if the hash isn't a valid bookmark
+    static parseLocation(hash) {
+        const match = /^#?loc=([^/]+)\/([^/]+)\/(\d+)$/.exec(hash || '');
+        if (!match) return null;
+
+        const position = match[1].split(',').map(Number);
+        const quaternion = match[2].split(',').map(Number);
+        if (position.length !== 3 || quaternion.length !== 4 ||
+            !position.concat(quaternion).every(Number.isFinite)) {
+            return null;
+        }
+
+        const q = new THREE.Quaternion(quaternion[0], quaternion[1], quaternion[2], quaternion[3]);
+        if (q.lengthSq() === 0) return null;
+
+        return {
+            position: new THREE.Vector3(position[0], position[1], position[2]),
+            quaternion: q.normalize(),
+            seed: Number(match[3]) >>> 0
+        };
+    }
+
+    copyLocation() {
+        const hash = this.serializeLocation();
+
+        // Push a history entry so back/forward can return to each saved spot
+        if (window.location.hash !== `#${hash}`) {
+            history.pushState(null, '', `#${hash}`);
+        }
+
+        const url = window.location.href;
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(url)
+                .then(() => this.showHudMessage('LOCATION COPIED'))
+                .catch(() => this.showHudMessage('LOCATION SAVED TO URL'));
+        } else {
+            this.showHudMessage('LOCATION SAVED TO URL');
+        }
+    }
+
+    flyToLocation(bookmark) {
+        // A bookmark from another universe regenerates the world before flying
+        if (bookmark.seed !== this.seed) {
+            this.setSeed(bookmark.seed);
+        }
+
+        const distance = this.camera.position.distanceTo(bookmark.position);
+        const duration = Math.max(this.minFlightDuration, Math.min(this.maxFlightDuration, distance * 5));
+
+        this.cameraFlight = {
+            fromPosition: this.camera.position.clone(),
+            fromQuaternion: this.camera.quaternion.clone(),
+            toPosition: bookmark.position.clone(),
+            toQuaternion: bookmark.quaternion.clone(),
+            startTime: Date.now(),
+            duration
+        };
+
+        // Take over from manual flight and auto-pilot
+        this.velocity.set(0, 0, 0);
+        this.rotationalVelocity.set(0, 0, 0);
+        this.resetIdleTimer();
+    }
+
+    updateCameraFlight() {
+        const flight = this.cameraFlight;
+        if (!flight) return false;
+
+        const progress = Math.min(1, (Date.now() - flight.startTime) / flight.duration);
+        // Ease in-out cubic
+        const eased = progress < 0.5
+            ? 4 * progress * progress * progress
+            : 1 - Math.pow(-2 * progress + 2, 3) / 2;
+
+        this.previousCameraPosition.copy(this.camera.position);
+        this.camera.position.lerpVectors(flight.fromPosition, flight.toPosition, eased);
+        this.camera.quaternion.slerpQuaternions(flight.fromQuaternion, flight.toQuaternion, eased);
+
+        // Velocity from position delta keeps the speed lines going during the flight
+        this.velocity.subVectors(this.camera.position, this.previousCameraPosition);
+        this.idleTimer = Date.now();
+
+        if (progress >= 1) {
+            this.cameraFlight = null;
+            this.velocity.set(0, 0, 0);
+        }
+        return true;
+    }
+
+    setSeed(seed) {
+        this.seed = AsciiBackground.normalizeSeed(seed);
+        this.biomeSeed = AsciiNoise.deriveSeed(this.seed, 'biome');
+        this.updateBiome(true);
+
+        // Throw away everything generated from the old seed
+        this.resetChunks();
+        Object.values(this.debrisPools).forEach(pool => pool.clear());
+        this.floatingDebris = [];
+        this.spritePool.clear();
+        this.removeObject(this.particleField);
+
+        // Regenerate from the new seed
+        this.createEnvironmentMap();
+        this.createParticleField();
+        this.createAsciiSprites();
+        this.createFloatingDebris();
+        this.createSerpents();
+        this.updateProceduralAetherytes(true);
+        this.needsRender = true;
     }
 
     resetIdleTimer() {
@@ -1403,8 +4507,8 @@ class AsciiBackground {
     updateAutoPilot(deltaTime) {
         const now = Date.now();
 
-        // Check if should enter auto-pilot
-        if (!this.autoPilot && (now - this.idleTimer) > this.idleThreshold) {
+        // Check if should enter auto-pilot (never with reduced motion)
+        if (!this.autoPilot && !this.reducedMotion && (now - this.idleTimer) > this.idleThreshold) {
             this.autoPilot = true;
             this.autoPilotTime = 0;
             // Store initial position
@@ -1473,45 +4577,93 @@ class AsciiBackground {
         this.acceleration.set(0, 0, 0);
 
         // WASD controls - add acceleration based on camera orientation
-        if (this.keys.w) {
+        const input = this.input;
+        if (input.isActive('forward')) {
             this.acceleration.add(forward.clone().multiplyScalar(this.accelerationForce));
         }
-        if (this.keys.s) {
+        if (input.isActive('backward')) {
             this.acceleration.add(forward.clone().multiplyScalar(-this.accelerationForce));
         }
 
         // A and D now add rotational curl (yaw velocity) instead of lateral movement
-        if (this.keys.a) {
+        if (input.isActive('turnLeft')) {
             this.rotationalVelocity.y += this.rotationalAcceleration; // Turn left
         }
-        if (this.keys.d) {
+        if (input.isActive('turnRight')) {
             this.rotationalVelocity.y -= this.rotationalAcceleration; // Turn right
         }
 
         // Arrow keys add to rotational velocity (pitch and yaw)
-        if (this.keys.ArrowUp) {
+        if (input.isActive('pitchUp')) {
             this.rotationalVelocity.x += this.rotationalAcceleration * 1.5; // Pitch up
         }
-        if (this.keys.ArrowDown) {
+        if (input.isActive('pitchDown')) {
             this.rotationalVelocity.x -= this.rotationalAcceleration * 1.5; // Pitch down
         }
-        if (this.keys.ArrowLeft) {
+        if (input.isActive('yawLeft')) {
             this.rotationalVelocity.y += this.rotationalAcceleration * 1.5; // Yaw left
         }
-        if (this.keys.ArrowRight) {
+        if (input.isActive('yawRight')) {
             this.rotationalVelocity.y -= this.rotationalAcceleration * 1.5; // Yaw right
         }
 
+        // Q and E roll; strafe and rise/sink slide along the camera's right and up axes
+        if (input.isActive('rollLeft')) {
+            this.rotationalVelocity.z += this.rotationalAcceleration * 1.5; // Roll left
+        }
+        if (input.isActive('rollRight')) {
+            this.rotationalVelocity.z -= this.rotationalAcceleration * 1.5; // Roll right
+        }
+        const up = new THREE.Vector3(0, 1, 0);
+        up.applyQuaternion(this.camera.quaternion);
+        const held = action => (input.isActive(action) ? 1 : 0);
+        const strafe = Math.max(-1, Math.min(1, held('strafeRight') - held('strafeLeft') + input.getAxis('strafe')));
+        const lift = Math.max(-1, Math.min(1, held('up') - held('down') + input.getAxis('lift')));
+        if (strafe !== 0) {
+            this.acceleration.add(right.clone().multiplyScalar(this.accelerationForce * strafe));
+        }
+        if (lift !== 0) {
+            this.acceleration.add(up.clone().multiplyScalar(this.accelerationForce * lift));
+        }
+
+        // Touch sticks, tilt look and gamepads: analog versions of the keys above
+        const thrust = input.getAxis('thrust');
+        if (thrust !== 0) {
+            this.acceleration.add(forward.clone().multiplyScalar(this.accelerationForce * thrust));
+        }
+        this.rotationalVelocity.x += input.getAxis('pitch') * this.rotationalAcceleration * 1.5;
+        this.rotationalVelocity.y -= input.getAxis('yaw') * this.rotationalAcceleration * 1.5;
+        this.rotationalVelocity.z -= input.getAxis('roll') * this.rotationalAcceleration * 1.5;
+
+        // Mouse look: pitch and yaw from mouse movement, roll while right-dragging, and a
+        // steady push along the view from the wheel's throttle
+        const look = input.consumeLook();
+        const turn = this.mouseTurnRate * this.mouseSensitivity;
+        this.rotationalVelocity.x -= look.y * turn * (this.invertY ? -1 : 1);
+        this.rotationalVelocity.y -= look.x * turn;
+        this.rotationalVelocity.z -= look.roll * turn;
+        if (input.throttle !== 0) {
+            this.acceleration.add(forward.clone().multiplyScalar(this.accelerationForce * input.throttle));
+        }
+
+        // Boost (Shift or the right trigger) multiplies the thrust and raises the speed limit while
+        // held; the limit eases back down afterwards, so the extra speed bleeds off smoothly
+        const boost = Math.max(held('boost'), input.getAxis('boost'));
+        this.boostLevel += (boost - this.boostLevel) * 0.05;
+        this.acceleration.multiplyScalar(1 + (this.boostThrust - 1) * boost);
+
         // Apply acceleration to velocity
         this.velocity.add(this.acceleration);
 
-        // Apply damping to velocity (friction)
-        this.velocity.multiplyScalar(this.damping);
+        // Apply damping to velocity (friction), more while braking (B or the left trigger)
+        const brake = Math.max(held('brake'), input.getAxis('brake'));
+        this.velocity.multiplyScalar(this.damping * (1 - brake * this.brakeDamping));
 
         // Clamp velocity to max speed
+        const maxSpeed = this.maxSpeed * (1 + (this.boostSpeed - 1) * this.boostLevel);
         const speed = this.velocity.length();
-        if (speed > this.maxSpeed) {
-            this.velocity.normalize().multiplyScalar(this.maxSpeed);
+        if (speed > maxSpeed) {
+            this.velocity.normalize().multiplyScalar(maxSpeed);
         }
 
         // Apply damping to rotational velocity
@@ -1545,138 +4697,173 @@ class AsciiBackground {
     }
 
     animate() {
-        requestAnimationFrame(() => this.animate());
+        this.animationFrameId = requestAnimationFrame(this.animate);
 
         // Initialize idle timer on first frame
         if (this.idleTimer === 0) {
             this.idleTimer = Date.now();
         }
 
-        // Calculate delta time
-        const now = Date.now();
-        const deltaTime = 16; // Approximate 60fps
+        // Real frame time, clamped so a long stall (e.g. a backgrounded tab) doesn't fast-forward
+        const frameStart = performance.now();
+        if (this.lastFrameTime === null) {
+            this.lastFrameTime = frameStart;
+        }
+        const frameTime = Math.min(frameStart - this.lastFrameTime, this.maxFrameTime);
+        this.lastFrameTime = frameStart;
+        this.updateQualityGovernor(frameTime);
+
+        // Gamepads have no input events, so they are read once per frame
+        this.input.pollGamepads();
+
+        // Advance the simulation in fixed steps so it runs the same at 30, 60 or 144 fps
+        this.simulationAccumulator += frameTime;
+        let steps = 0;
+        while (this.simulationAccumulator >= this.simulationStep && steps < this.maxSimulationSteps) {
+            this.lastStepPosition.copy(this.camera.position);
+            this.lastStepQuaternion.copy(this.camera.quaternion);
+            this.simulate(this.simulationStep);
+            this.simulationAccumulator -= this.simulationStep;
+            steps++;
+        }
+        if (steps === this.maxSimulationSteps) {
+            // Too far behind to catch up - drop the backlog rather than spiral
+            this.simulationAccumulator = 0;
+        }
+
+        if (!this.shouldRender()) return;
+        this.needsRender = false;
+        this.lastRenderedPosition.copy(this.camera.position);
+        this.lastRenderedQuaternion.copy(this.camera.quaternion);
+
+        // Render the camera part-way between the last two steps for smooth motion
+        const alpha = this.simulationAccumulator / this.simulationStep;
+        this.renderInterpolated(alpha);
+
+        // Draw HUD overlay
+        this.drawHUD();
+    }
+
+    renderInterpolated(alpha) {
+        this.simulatedPosition.copy(this.camera.position);
+        this.simulatedQuaternion.copy(this.camera.quaternion);
+
+        this.camera.position.lerpVectors(this.lastStepPosition, this.simulatedPosition, alpha);
+        this.camera.quaternion.slerpQuaternions(this.lastStepQuaternion, this.simulatedQuaternion, alpha);
 
-        // Update auto-pilot system
-        this.updateAutoPilot(deltaTime);
+        this.renderScene();
 
-        // Update camera movement and rotation (manual controls)
-        this.updateMovement();
+        // Restore the simulated state for the next step
+        this.camera.position.copy(this.simulatedPosition);
+        this.camera.quaternion.copy(this.simulatedQuaternion);
+    }
+
+    // One fixed simulation step. Per-step constants (acceleration, damping, drift, ring
+    // speeds) are tuned for the 60Hz step, so they hold at any display frame rate.
+    simulate(deltaTime) {
+        const ambient = this.getAmbientTimeScale();
+        const twinkle = this.reducedMotion ? 0 : 1;
+        const fadeInDuration = this.reducedMotion ? 0 : this.fadeInDuration; // Switch detail levels without fading
+
+        // Bookmark flights take over the camera until they land
+        if (!this.updateCameraFlight()) {
+            // Update auto-pilot system
+            this.updateAutoPilot(deltaTime);
+
+            // Update camera movement and rotation (manual controls)
+            this.updateMovement();
+        }
+
+        this.updateBiome();
 
-        // Update procedural generation every frame
+        // Update procedural generation every step
+        this.updateViewFrustum();
         this.updateProceduralAetherytes();
+        this.updateChunkFades(fadeInDuration);
 
         // Update floating debris with frustum culling
-        this.updateFloatingDebris();
-
-        // Rotate particle field slowly
-        if (this.particleField) {
-            this.particleField.rotation.y += 0.0003;
-        }
-
-        // Animate loaded aetherytes - oscillate around their grid positions
-        let index = 0;
-        this.loadedAetherytes.forEach((crystal) => {
-            // Handle fade-in animation
-            if (crystal.userData.spawnTime) {
-                const age = now - crystal.userData.spawnTime;
-                if (age < this.fadeInDuration) {
-                    // Smooth ease-out animation
-                    const progress = age / this.fadeInDuration;
-                    const easeOut = 1 - Math.pow(1 - progress, 3); // cubic ease-out
-                    const scale = 0.1 + (0.9 * easeOut);
-                    crystal.scale.set(scale, scale, scale);
-
-                    // Also fade in opacity
-                    crystal.children.forEach(child => {
-                        if (child.material && child.material.opacity !== undefined) {
-                            const targetOpacity = child.geometry.type === 'TorusGeometry' ? 0.6 : 0.7;
-                            child.material.opacity = targetOpacity * easeOut;
-                        }
-                    });
-                } else {
-                    // Fade-in complete
-                    crystal.scale.set(1, 1, 1);
-                }
-            }
-
-            if (crystal.userData.drift && crystal.userData.originalPosition) {
-                // Increment time for this crystal
-                crystal.userData.time += 0.05;
-                const t = crystal.userData.time;
-
-                // Oscillate around original position using sine waves
-                const offset = 8; // Max distance from original position
-                crystal.position.x = crystal.userData.originalPosition.x + Math.sin(t * crystal.userData.drift.x * 100) * offset;
-                crystal.position.y = crystal.userData.originalPosition.y + Math.sin(t * crystal.userData.drift.y * 100 + 1) * offset;
-                crystal.position.z = crystal.userData.originalPosition.z + Math.sin(t * crystal.userData.drift.z * 100 + 2) * offset;
-
-                // Tumble slowly in space
-                crystal.rotation.x += crystal.userData.drift.rotX;
-                crystal.rotation.y += crystal.userData.drift.rotY;
-                crystal.rotation.z += crystal.userData.drift.rotZ;
-            }
+        this.updateFloatingDebris(ambient);
+        this.updateSerpents(ambient);
 
-            // Rotate the gold rings independently and pulse their glow
-            crystal.children.forEach(child => {
-                if (child.geometry && child.geometry.type === 'TorusGeometry') {
-                    if (child.userData.rotationSpeed) {
-                        child.rotation.y += child.userData.rotationSpeed;
-                    }
-                }
+        // Drift the starfield slowly (it is tiled around the camera in the shader)
+        const drift = this.particleWrap.wrapDrift.value;
+        drift.x = (drift.x + 0.03 * ambient) % this.particleFieldSize;
+        drift.z = (drift.z + 0.015 * ambient) % this.particleFieldSize;
 
-                // Pulse the opacity on all materials for glow effect (only if fade-in is complete)
-                if (child.material && child.material.opacity !== undefined) {
-                    const age = crystal.userData.spawnTime ? (now - crystal.userData.spawnTime) : this.fadeInDuration;
-                    if (age >= this.fadeInDuration) {
-                        const baseOpacity = child.geometry.type === 'TorusGeometry' ? 0.6 : 0.7;
-                        child.material.opacity = baseOpacity + Math.sin(Date.now() * 0.002 + index) * 0.15;
-                    }
-                }
-            });
-            index++;
+        // Animate full-detail landmarks through their type's hook
+        this.loadedLandmarks.forEach(object => {
+            LANDMARK_TYPES[object.userData.landmark].animate(this, object, ambient, twinkle);
         });
 
+        // Lights follow the crystals after they've moved
+        this.updateLightPool();
+
         // Animate distant stars - make them twinkle
-        this.distantStars.forEach((star, i) => {
+        const coreOpacity = this.starMeshes.core.geometry.attributes.instanceOpacity;
+        const glowOpacity = this.starMeshes.glow.geometry.attributes.instanceOpacity;
+        this.distantStars.forEach(star => {
+            const i = star.slot;
             // Pulse the core opacity - normalized
-            star.material.opacity = 0.65 + Math.sin(Date.now() * 0.004 + i * 0.5) * 0.15;
+            coreOpacity.setX(i, (0.65 + Math.sin(Date.now() * 0.004 + i * 0.5) * 0.15 * twinkle) * star.fade);
 
             // Pulse the glow - normalized
-            if (star.children[0]) {
-                const glow = star.children[0];
-                glow.material.opacity = 0.30 + Math.sin(Date.now() * 0.003 + i) * 0.15;
-            }
+            glowOpacity.setX(i, (0.30 + Math.sin(Date.now() * 0.003 + i) * 0.15 * twinkle) * star.fade);
         });
+        coreOpacity.needsUpdate = true;
+        glowOpacity.needsUpdate = true;
 
-        // Animate ASCII sprites
-        this.asciiSprites.forEach(sprite => {
-            sprite.position.x += sprite.velocity.x;
-            sprite.position.y += sprite.velocity.y;
-            sprite.position.z += sprite.velocity.z;
+        // Low-poly crystals only change opacity while crossfading
+        const lowOpacity = this.lowPolyMesh.geometry.attributes.instanceOpacity;
+        this.lowPolyCrystals.forEach(crystal => {
+            lowOpacity.setX(crystal.slot, 0.8 * crystal.fade);
+        });
+        lowOpacity.needsUpdate = true;
 
-            // Bounce at boundaries
-            if (Math.abs(sprite.position.x) > 100) sprite.velocity.x *= -1;
-            if (Math.abs(sprite.position.y) > 100) sprite.velocity.y *= -1;
-            if (Math.abs(sprite.position.z) > 100) sprite.velocity.z *= -1;
+        // Animate ASCII sprites, wrapping them into the box around the camera
+        const spriteFieldSize = this.spriteFieldSize;
+        const cameraPosition = this.camera.position;
+        this.asciiSprites.forEach(sprite => {
+            const position = sprite.position;
+            position.x = AsciiBackground.wrapAround(position.x + sprite.velocity.x * ambient, cameraPosition.x, spriteFieldSize);
+            position.y = AsciiBackground.wrapAround(position.y + sprite.velocity.y * ambient, cameraPosition.y, spriteFieldSize);
+            position.z = AsciiBackground.wrapAround(position.z + sprite.velocity.z * ambient, cameraPosition.z, spriteFieldSize);
+
+            // Shrink away near the faces of the box so wrapping sprites don't pop
+            const edge = Math.max(
+                Math.abs(position.x - cameraPosition.x),
+                Math.abs(position.y - cameraPosition.y),
+                Math.abs(position.z - cameraPosition.z)
+            ) / (spriteFieldSize / 2);
+            const t = Math.min(1, Math.max(0, (edge - 0.8) / 0.2));
+            sprite.fade = 1 - t * t * (3 - 2 * t);
 
             // Rotate sprites with individual speeds
-            if (sprite.velocity.rotation) {
-                sprite.material.rotation += sprite.velocity.rotation;
-            }
+            sprite.rotation += sprite.velocity.rotation * ambient;
+
+            this.updateSpriteInstance(sprite);
         });
+        if (this.asciiSprites.length > 0) {
+            this.markSpritesDirty();
+        }
 
-        this.renderer.render(this.scene, this.camera);
+        // Advance speed lines with the simulation so they travel at the same rate everywhere
+        if (!this.reducedMotion) {
+            this.updateSpeedLines(this.hudCanvas.width, this.hudCanvas.height);
+        }
+    }
+}
 
-        // Draw HUD overlay
-        this.drawHUD();
+// Initialize when DOM is loaded, configured from the canvas's data-* attributes.
+// Exposed on window so the look can be tuned from the console (e.g. asciiBackground.setAsciiRamp(' .oO@'))
+function initAsciiBackground() {
+    const canvas = document.getElementById('ascii-canvas');
+    if (canvas) {
+        window.asciiBackground = new AsciiBackground(canvas);
     }
 }
 
-// Initialize when DOM is loaded
 if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-        new AsciiBackground();
-    });
+    document.addEventListener('DOMContentLoaded', initAsciiBackground);
 } else {
-    new AsciiBackground();
+    initAsciiBackground();
 }
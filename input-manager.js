@@ -0,0 +1,683 @@
+// ==========================================
+// KEYBOARD & MOUSE INPUT, FLIGHT MODE
+// Keeps the ASCII background's controls out of the page's way: the camera only takes the
+// flight keys (see KEY_BINDINGS, all rebindable) in flight mode, and keys typed into editable
+// fields are never touched.
+// Mouse look captures the pointer (Pointer Lock), and touch screens get on-screen sticks and
+// tilt look; all of them are part of flight mode. Gamepads don't clash with the page, so they
+// fly whenever one is connected.
+// ==========================================
+
+// Everything the keyboard does, with its default key (a KeyboardEvent.code, so keys sit in the
+// same place on every keyboard layout) and its name in the key bindings panel. Flight actions
+// are held and commands fire once; both only work in flight mode, except toggleFlight.
+// Any of them can be rebound with setBinding(), except to RESERVED_KEYS.
+const KEY_BINDINGS = {
+    forward: { key: 'KeyW', label: 'Forward', type: 'flight' },
+    backward: { key: 'KeyS', label: 'Backward', type: 'flight' },
+    turnLeft: { key: 'KeyA', label: 'Turn left', type: 'flight' },
+    turnRight: { key: 'KeyD', label: 'Turn right', type: 'flight' },
+    pitchUp: { key: 'ArrowUp', label: 'Pitch up', type: 'flight' },
+    pitchDown: { key: 'ArrowDown', label: 'Pitch down', type: 'flight' },
+    yawLeft: { key: 'ArrowLeft', label: 'Yaw left', type: 'flight' },
+    yawRight: { key: 'ArrowRight', label: 'Yaw right', type: 'flight' },
+    rollLeft: { key: 'KeyQ', label: 'Roll left', type: 'flight' },
+    rollRight: { key: 'KeyE', label: 'Roll right', type: 'flight' },
+    strafeLeft: { key: 'KeyZ', label: 'Strafe left', type: 'flight' },
+    strafeRight: { key: 'KeyX', label: 'Strafe right', type: 'flight' },
+    up: { key: 'KeyR', label: 'Rise', type: 'flight' },
+    down: { key: 'KeyV', label: 'Sink', type: 'flight' },
+    boost: { key: 'ShiftLeft', label: 'Boost', type: 'flight' },
+    brake: { key: 'KeyB', label: 'Brake', type: 'flight' },
+    toggleFlight: { key: 'KeyF', label: 'Flight mode', type: 'command' },
+    toggleMouseLook: { key: 'KeyM', label: 'Mouse look', type: 'command' },
+    toggleAsciiPass: { key: 'Backquote', label: 'ASCII pass', type: 'command' },
+    copyLocation: { key: 'KeyC', label: 'Copy location', type: 'command' }
+};
+
+// Short names for keys whose code doesn't read well on a key cap
+const KEY_NAMES = {
+    ArrowUp: '\u2191',
+    ArrowDown: '\u2193',
+    ArrowLeft: '\u2190',
+    ArrowRight: '\u2192',
+    Backquote: '`',
+    ShiftLeft: 'L-SHIFT',
+    ShiftRight: 'R-SHIFT',
+    Space: 'SPACE'
+};
+
+// Keys that can't be bound: Escape always leaves flight mode, and Ctrl, Alt and Meta are
+// reserved for browser shortcuts (onKeyDown ignores anything pressed with them held)
+const RESERVED_KEYS = ['Escape', 'ControlLeft', 'ControlRight', 'AltLeft', 'AltRight', 'MetaLeft', 'MetaRight', 'OSLeft', 'OSRight'];
+
+// On-screen thumbstick for touch screens. x and y run from -1 to 1, right and up positive,
+// with a small dead zone around the centre.
+class VirtualJoystick {
+    constructor(className, label, onMove) {
+        this.x = 0;
+        this.y = 0;
+        this.pointerId = null; // The finger holding the stick
+        this.deadZone = 0.12;
+        this.onMove = onMove;
+
+        this.element = document.createElement('div');
+        this.element.className = `flight-stick ${className}`;
+        this.element.setAttribute('aria-label', label);
+        this.knob = document.createElement('div');
+        this.knob.className = 'flight-stick-knob';
+        this.element.appendChild(this.knob);
+
+        this.element.addEventListener('pointerdown', (e) => {
+            if (this.pointerId !== null) return;
+            this.pointerId = e.pointerId;
+            this.element.setPointerCapture(e.pointerId);
+            this.follow(e);
+            e.preventDefault();
+        });
+        this.element.addEventListener('pointermove', (e) => {
+            if (e.pointerId === this.pointerId) this.follow(e);
+        });
+        const release = (e) => {
+            if (e.pointerId === this.pointerId) this.release();
+        };
+        this.element.addEventListener('pointerup', release);
+        this.element.addEventListener('pointercancel', release);
+    }
+
+    // Point the stick at the finger, clamped to the rim
+    follow(e) {
+        const rect = this.element.getBoundingClientRect();
+        const radius = rect.width / 2;
+        let x = (e.clientX - rect.left - radius) / radius;
+        let y = (rect.top + radius - e.clientY) / radius;
+        const length = Math.sqrt(x * x + y * y);
+        if (length > 1) {
+            x /= length;
+            y /= length;
+        }
+        this.set(x, y);
+        this.onMove();
+    }
+
+    release() {
+        this.pointerId = null;
+        this.set(0, 0);
+    }
+
+    set(x, y) {
+        const dead = value => Math.abs(value) < this.deadZone ? 0 : (value - Math.sign(value) * this.deadZone) / (1 - this.deadZone);
+        this.x = dead(x);
+        this.y = dead(y);
+        // The knob is 40% of the stick, so it reaches the rim 75% of its own width from the centre
+        this.knob.style.transform = `translate(-50%, -50%) translate(${x * 75}%, ${-y * 75}%)`;
+    }
+}
+
+class InputManager {
+    // callbacks: onFlightModeChange(enabled), onPointerLockChange(locked), onPointerLockError(),
+    // onTiltChange(state), onGamepadChange(connected, id), onCommand(name) and onSteer() - called
+    // when a flight key goes down or the mouse, a stick, the tilt or a gamepad steers, e.g. to
+    // cancel auto-pilot
+    constructor(callbacks = {}) {
+        this.callbacks = callbacks;
+        this.flightMode = false;
+        this.actions = {}; // Flight action name -> held
+        Object.keys(KEY_BINDINGS).forEach(action => {
+            if (KEY_BINDINGS[action].type === 'flight') this.actions[action] = false;
+        });
+
+        // Action -> key code, the defaults with the visitor's changes on top
+        this.bindingsStorageKey = 'keyBindings';
+        this.bindings = this.loadBindings();
+        this.keyMap = {}; // Key code -> action, rebuilt whenever the bindings change
+        this.updateKeyMap();
+        this.capture = null; // { action, done } while waiting for a key to bind (see captureBinding)
+
+        // Mouse look, while the pointer is locked to lockElement
+        this.lockElement = null;
+        this.pointerLocked = false;
+        this.lockEnteredFlight = false; // Flight mode was turned on by requestPointerLock()
+        this.releasingLock = false; // exitPointerLock() asked for the unlock, rather than Escape
+        this.look = { x: 0, y: 0, roll: 0 }; // Mouse movement since the last consumeLook(), in pixels
+        this.rolling = false; // Right button held - horizontal movement rolls instead of turning
+        this.throttle = 0; // -1 to 1, set with the wheel
+
+        // Touch sticks and tilt look (see createTouchControls)
+        this.touchControls = null;
+        this.sticks = null; // { move: thrust and yaw, look: pitch and roll } VirtualJoysticks
+        this.tiltToggle = null;
+        this.tilt = null; // { reference, x, y } while tilt look is on
+
+        // The gamepad being flown with, read by pollGamepads()
+        this.gamepadIndex = null;
+        this.gamepadDeadZone = 0.15;
+        this.gamepad = { thrust: 0, yaw: 0, pitch: 0, roll: 0, strafe: 0, lift: 0, boost: 0, brake: 0 };
+
+        this.handleKeyDown = (e) => this.onKeyDown(e);
+        this.handleKeyUp = (e) => this.onKeyUp(e);
+        this.handleBlur = () => this.releaseAll();
+        this.handlePointerLockChange = () => this.onPointerLockChange();
+        this.handlePointerLockError = () => this.onPointerLockError();
+        this.handleMouseMove = (e) => this.onMouseMove(e);
+        this.handleMouseButton = (e) => this.onMouseButton(e);
+        this.handleWheel = (e) => this.onWheel(e);
+        this.handleContextMenu = (e) => e.preventDefault();
+        this.handleOrientation = (e) => this.onOrientation(e);
+        this.handleGamepadConnected = (e) => this.onGamepadConnected(e.gamepad);
+        this.handleGamepadDisconnected = (e) => this.onGamepadDisconnected(e.gamepad);
+    }
+
+    attach() {
+        document.addEventListener('keydown', this.handleKeyDown);
+        document.addEventListener('keyup', this.handleKeyUp);
+        document.addEventListener('pointerlockchange', this.handlePointerLockChange);
+        document.addEventListener('pointerlockerror', this.handlePointerLockError);
+        window.addEventListener('blur', this.handleBlur);
+        window.addEventListener('gamepadconnected', this.handleGamepadConnected);
+        window.addEventListener('gamepaddisconnected', this.handleGamepadDisconnected);
+    }
+
+    detach() {
+        document.removeEventListener('keydown', this.handleKeyDown);
+        document.removeEventListener('keyup', this.handleKeyUp);
+        document.removeEventListener('pointerlockchange', this.handlePointerLockChange);
+        document.removeEventListener('pointerlockerror', this.handlePointerLockError);
+        window.removeEventListener('blur', this.handleBlur);
+        window.removeEventListener('gamepadconnected', this.handleGamepadConnected);
+        window.removeEventListener('gamepaddisconnected', this.handleGamepadDisconnected);
+        this.exitPointerLock();
+        this.setMouseListeners(false);
+        this.releaseAll();
+        this.stopTilt();
+        if (this.touchControls) {
+            this.touchControls.remove();
+            this.touchControls = null;
+            this.sticks = null;
+            this.tiltToggle = null;
+            document.documentElement.classList.remove('has-touch-controls');
+        }
+    }
+
+    static hasTouch() {
+        return navigator.maxTouchPoints > 0 || 'ontouchstart' in window;
+    }
+
+    // Text fields, selects and contenteditable regions keep every key they are sent
+    static isEditable(target) {
+        if (!target) return false;
+        return target.isContentEditable === true || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+    }
+
+    onKeyDown(e) {
+        if (e.defaultPrevented || InputManager.isEditable(e.target)) return;
+
+        // The next key after captureBinding() is the new binding. Escape cancels, and Ctrl, Alt
+        // and Meta are skipped so the capture waits for a key that can be bound.
+        if (this.capture) {
+            if (RESERVED_KEYS.includes(e.code) && e.code !== 'Escape') return;
+            const { action, done } = this.capture;
+            this.capture = null;
+            e.preventDefault();
+            if (e.code !== 'Escape') this.setBinding(action, e.code);
+            done();
+            return;
+        }
+
+        // Anything pressed with Ctrl, Alt or Meta held is a browser or system shortcut
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+        if (e.code === 'Escape' && this.flightMode) {
+            this.setFlightMode(false);
+            return;
+        }
+
+        const action = this.keyMap[e.code];
+        if (action === 'toggleFlight') {
+            if (!e.repeat) this.setFlightMode(!this.flightMode);
+            e.preventDefault();
+            return;
+        }
+
+        // Outside flight mode every other key belongs to the page (scrolling, the Konami code, typing)
+        if (!this.flightMode || !action) return;
+        e.preventDefault();
+
+        if (KEY_BINDINGS[action].type === 'command') {
+            if (!e.repeat && this.callbacks.onCommand) {
+                this.callbacks.onCommand(action);
+            }
+            return;
+        }
+
+        this.actions[action] = true;
+        if (this.callbacks.onSteer) {
+            this.callbacks.onSteer();
+        }
+    }
+
+    onKeyUp(e) {
+        // Always release, even if focus moved into a field while the key was held
+        const action = this.keyMap[e.code];
+        if (action && this.actions[action]) {
+            this.actions[action] = false;
+            e.preventDefault();
+        }
+    }
+
+    loadBindings() {
+        const bindings = {};
+        Object.keys(KEY_BINDINGS).forEach(action => { bindings[action] = KEY_BINDINGS[action].key; });
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.bindingsStorageKey) || '{}');
+            Object.keys(stored).forEach(action => {
+                if (KEY_BINDINGS.hasOwnProperty(action) && typeof stored[action] === 'string' && !RESERVED_KEYS.includes(stored[action])) {
+                    bindings[action] = stored[action];
+                }
+            });
+        } catch (e) {
+            // Storage unavailable or unreadable; use the defaults
+        }
+        return bindings;
+    }
+
+    // Only the bindings that differ from the defaults are stored, so new actions get their default keys
+    saveBindings() {
+        const changed = {};
+        Object.keys(this.bindings).forEach(action => {
+            if (this.bindings[action] !== KEY_BINDINGS[action].key) changed[action] = this.bindings[action];
+        });
+        try {
+            if (Object.keys(changed).length > 0) {
+                localStorage.setItem(this.bindingsStorageKey, JSON.stringify(changed));
+            } else {
+                localStorage.removeItem(this.bindingsStorageKey);
+            }
+        } catch (e) {
+            // Not persisted, but still applies for this visit
+        }
+    }
+
+    updateKeyMap() {
+        this.keyMap = {};
+        Object.keys(this.bindings).forEach(action => { this.keyMap[this.bindings[action]] = action; });
+    }
+
+    // Bind an action to a key and remember it. An action already on that key swaps over to
+    // this action's old key, so every action keeps one.
+    setBinding(action, code) {
+        if (!KEY_BINDINGS.hasOwnProperty(action)) {
+            console.warn(`InputManager: unknown action "${action}", expected one of ${Object.keys(KEY_BINDINGS).join(', ')}`);
+            return false;
+        }
+        if (typeof code !== 'string' || code === '' || RESERVED_KEYS.includes(code)) {
+            console.warn(`InputManager: "${code}" can't be bound to ${action}`);
+            return false;
+        }
+
+        const previous = this.keyMap[code];
+        if (previous && previous !== action) {
+            this.bindings[previous] = this.bindings[action];
+        }
+        this.bindings[action] = code;
+        this.releaseAll();
+        this.updateKeyMap();
+        this.saveBindings();
+        return true;
+    }
+
+    resetBindings() {
+        Object.keys(KEY_BINDINGS).forEach(action => { this.bindings[action] = KEY_BINDINGS[action].key; });
+        this.releaseAll();
+        this.updateKeyMap();
+        this.saveBindings();
+    }
+
+    // Bind the next key pressed to action, then call done() - also when Escape cancels
+    captureBinding(action, done) {
+        this.capture = { action, done: done || (() => {}) };
+    }
+
+    cancelCapture() {
+        this.capture = null;
+    }
+
+    // Key cap text for a key code, e.g. KeyW -> W
+    static keyName(code) {
+        if (KEY_NAMES[code]) return KEY_NAMES[code];
+        const match = /^(Key|Digit|Numpad)(.+)$/.exec(code);
+        return (match ? match[2] : code).toUpperCase();
+    }
+
+    setFlightMode(enabled) {
+        enabled = !!enabled;
+        if (enabled === this.flightMode) return;
+
+        this.flightMode = enabled;
+        if (!enabled) {
+            this.exitPointerLock();
+            this.releaseAll();
+            this.stopTilt();
+        }
+        if (this.callbacks.onFlightModeChange) {
+            this.callbacks.onFlightModeChange(enabled);
+        }
+    }
+
+    isActive(action) {
+        return this.actions[action] === true;
+    }
+
+    // Analog steering from the touch sticks, tilt look and gamepad, -1 to 1: thrust is forwards,
+    // yaw turns right, pitch raises the nose, roll banks right, strafe slides right and lift
+    // rises. boost and brake (0 to 1) come from the gamepad's triggers.
+    getAxis(axis) {
+        let value = this.gamepad[axis];
+        if (this.sticks) {
+            const { move, look } = this.sticks;
+            value += { thrust: move.y, yaw: move.x, pitch: look.y, roll: look.x }[axis] || 0;
+        }
+        if (this.tilt) {
+            value += { yaw: this.tilt.x, pitch: this.tilt.y }[axis] || 0;
+        }
+        return Math.max(-1, Math.min(1, value));
+    }
+
+    // True while any flight key is held or a stick or the tilt is steering
+    isSteering() {
+        return Object.keys(this.actions).some(action => this.actions[action]) ||
+            Object.keys(this.gamepad).some(axis => this.getAxis(axis) !== 0);
+    }
+
+    releaseAll() {
+        Object.keys(this.actions).forEach(action => { this.actions[action] = false; });
+        this.rolling = false;
+        if (this.sticks) {
+            this.sticks.move.release();
+            this.sticks.look.release();
+        }
+    }
+
+    // Two thumbsticks and a tilt look button, shown by the stylesheet only in flight mode
+    createTouchControls(tiltLook) {
+        const onMove = () => {
+            if (this.callbacks.onSteer) {
+                this.callbacks.onSteer();
+            }
+        };
+        this.sticks = {
+            move: new VirtualJoystick('flight-stick-move', 'Thrust and turn', onMove),
+            look: new VirtualJoystick('flight-stick-look', 'Pitch and roll', onMove)
+        };
+
+        this.touchControls = document.createElement('div');
+        this.touchControls.className = 'touch-controls';
+        this.touchControls.appendChild(this.sticks.move.element);
+        if (tiltLook) {
+            this.tiltToggle = document.createElement('button');
+            this.tiltToggle.type = 'button';
+            this.tiltToggle.className = 'tilt-toggle';
+            this.tiltToggle.textContent = 'TILT: OFF';
+            this.tiltToggle.setAttribute('aria-pressed', 'false');
+            this.tiltToggle.addEventListener('click', () => this.setTiltLook(!this.tilt));
+            this.touchControls.appendChild(this.tiltToggle);
+        }
+        this.touchControls.appendChild(this.sticks.look.element);
+        document.body.appendChild(this.touchControls);
+        document.documentElement.classList.add('has-touch-controls');
+    }
+
+    // Tilt look steers by tilting the phone away from how it was held when switched on.
+    // iOS asks for permission first, which has to come from a tap.
+    setTiltLook(enabled) {
+        if (!enabled) {
+            this.stopTilt();
+            return;
+        }
+        if (this.tilt) return;
+
+        const orientation = window.DeviceOrientationEvent;
+        if (!orientation) {
+            this.reportTilt('unavailable');
+            return;
+        }
+        if (typeof orientation.requestPermission === 'function') {
+            orientation.requestPermission()
+                .then(state => (state === 'granted' ? this.startTilt() : this.reportTilt('unavailable')))
+                .catch(() => this.reportTilt('unavailable'));
+        } else {
+            this.startTilt();
+        }
+    }
+
+    startTilt() {
+        this.tilt = { reference: null, x: 0, y: 0 };
+        window.addEventListener('deviceorientation', this.handleOrientation);
+        this.reportTilt('on');
+    }
+
+    stopTilt() {
+        if (!this.tilt) return;
+        this.tilt = null;
+        window.removeEventListener('deviceorientation', this.handleOrientation);
+        this.reportTilt('off');
+    }
+
+    reportTilt(state) {
+        if (this.tiltToggle) {
+            this.tiltToggle.textContent = state === 'on' ? 'TILT: ON' : 'TILT: OFF';
+            this.tiltToggle.setAttribute('aria-pressed', String(state === 'on'));
+        }
+        if (this.callbacks.onTiltChange) {
+            this.callbacks.onTiltChange(state);
+        }
+    }
+
+    onOrientation(e) {
+        if (!this.tilt) return;
+        if (e.beta === null || e.gamma === null) {
+            // Devices without the sensor still fire the event, with empty angles
+            this.stopTilt();
+            this.reportTilt('unavailable');
+            return;
+        }
+
+        // Tilt across and along the screen in degrees, whichever way up the phone is
+        const angle = screen.orientation ? screen.orientation.angle : (window.orientation || 0);
+        let across = e.gamma;
+        let along = e.beta;
+        if (angle === 90) {
+            across = e.beta;
+            along = -e.gamma;
+        } else if (angle === 270 || angle === -90) {
+            across = -e.beta;
+            along = e.gamma;
+        }
+
+        const tilt = this.tilt;
+        if (!tilt.reference) {
+            tilt.reference = { across, along };
+        }
+
+        // Ignore the first few degrees, then reach full turn at 30
+        const axis = degrees => {
+            const magnitude = Math.min(1, Math.max(0, (Math.abs(degrees) - 4) / 26));
+            return Math.sign(degrees) * magnitude;
+        };
+        tilt.x = axis(across - tilt.reference.across);
+        tilt.y = axis(along - tilt.reference.along);
+        if ((tilt.x !== 0 || tilt.y !== 0) && this.callbacks.onSteer) {
+            this.callbacks.onSteer();
+        }
+    }
+
+    // Capture the mouse for mouse look, entering flight mode. Has to run from a user gesture
+    // (a click or key press). Returns false if the browser has no Pointer Lock.
+    requestPointerLock(element) {
+        if (!element || !element.requestPointerLock) return false;
+        this.lockElement = element;
+        this.lockEnteredFlight = !this.flightMode;
+        this.setFlightMode(true);
+        // Newer browsers also return a promise; a refusal is handled by onPointerLockError
+        const request = element.requestPointerLock();
+        if (request && request.catch) {
+            request.catch(() => {});
+        }
+        return true;
+    }
+
+    // The browser refused the lock (no user gesture, a sandboxed iframe, ...). Flight mode
+    // entered only for mouse look is left again; the keys keep flying otherwise.
+    onPointerLockError() {
+        if (this.pointerLocked) return;
+        if (this.lockEnteredFlight) {
+            this.lockEnteredFlight = false;
+            this.setFlightMode(false);
+        }
+        if (this.callbacks.onPointerLockError) {
+            this.callbacks.onPointerLockError();
+        }
+    }
+
+    exitPointerLock() {
+        if (this.pointerLocked && document.exitPointerLock) {
+            this.releasingLock = true;
+            document.exitPointerLock();
+        }
+    }
+
+    // The browser releases the lock itself on Escape, so losing it that way also leaves flight
+    // mode and hands the keyboard back to the page. Turning mouse look off (exitPointerLock)
+    // keeps the keys flying, unless mouse look is what entered flight mode.
+    onPointerLockChange() {
+        const locked = this.lockElement !== null && document.pointerLockElement === this.lockElement;
+        if (locked === this.pointerLocked) return;
+
+        this.pointerLocked = locked;
+        this.setMouseListeners(locked);
+        this.look.x = 0;
+        this.look.y = 0;
+        this.look.roll = 0;
+        this.rolling = false;
+        this.throttle = 0;
+
+        if (this.callbacks.onPointerLockChange) {
+            this.callbacks.onPointerLockChange(locked);
+        }
+        if (!locked) {
+            const leaveFlight = !this.releasingLock || this.lockEnteredFlight;
+            this.releasingLock = false;
+            this.lockEnteredFlight = false;
+            if (leaveFlight) {
+                this.setFlightMode(false);
+            }
+        }
+    }
+
+    // Mouse listeners only exist while the pointer is locked, so the page keeps its own
+    // wheel scrolling and context menu the rest of the time
+    setMouseListeners(enabled) {
+        const method = enabled ? 'addEventListener' : 'removeEventListener';
+        document[method]('mousemove', this.handleMouseMove);
+        document[method]('mousedown', this.handleMouseButton);
+        document[method]('mouseup', this.handleMouseButton);
+        document[method]('contextmenu', this.handleContextMenu);
+        document[method]('wheel', this.handleWheel, { passive: false });
+    }
+
+    onMouseMove(e) {
+        if (this.rolling) {
+            this.look.roll += e.movementX;
+        } else {
+            this.look.x += e.movementX;
+            this.look.y += e.movementY;
+        }
+        if (this.callbacks.onSteer) {
+            this.callbacks.onSteer();
+        }
+    }
+
+    onMouseButton(e) {
+        if (e.button === 2) {
+            this.rolling = e.type === 'mousedown';
+            e.preventDefault();
+        }
+    }
+
+    // Each wheel notch (about 100 pixels) moves the throttle a tenth; scrolling up speeds up
+    onWheel(e) {
+        const pixels = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY; // Lines on some mice
+        this.throttle = Math.max(-1, Math.min(1, this.throttle - pixels * 0.001));
+        e.preventDefault();
+        if (this.callbacks.onSteer) {
+            this.callbacks.onSteer();
+        }
+    }
+
+    // Mouse movement since the last call, then reset - read once per simulation step
+    consumeLook() {
+        const look = { x: this.look.x, y: this.look.y, roll: this.look.roll };
+        this.look.x = 0;
+        this.look.y = 0;
+        this.look.roll = 0;
+        return look;
+    }
+
+    onGamepadConnected(gamepad) {
+        if (this.gamepadIndex === null) {
+            this.gamepadIndex = gamepad.index;
+        }
+        if (this.callbacks.onGamepadChange) {
+            this.callbacks.onGamepadChange(true, gamepad.id);
+        }
+    }
+
+    onGamepadDisconnected(gamepad) {
+        if (gamepad.index === this.gamepadIndex) {
+            Object.keys(this.gamepad).forEach(axis => { this.gamepad[axis] = 0; });
+            // Carry on with another controller if one is still plugged in
+            const others = navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+            const next = others.find(pad => pad && pad.connected && pad.index !== gamepad.index);
+            this.gamepadIndex = next ? next.index : null;
+        }
+        if (this.callbacks.onGamepadChange) {
+            this.callbacks.onGamepadChange(false, gamepad.id);
+        }
+    }
+
+    // Read the active gamepad's sticks and triggers (standard mapping). The Gamepad API has
+    // no input events, so this runs once per animation frame.
+    pollGamepads() {
+        if (this.gamepadIndex === null || !navigator.getGamepads) return;
+        const pad = navigator.getGamepads()[this.gamepadIndex];
+        if (!pad) return;
+
+        const stick = index => {
+            const value = pad.axes[index] || 0;
+            if (Math.abs(value) < this.gamepadDeadZone) return 0;
+            return (value - Math.sign(value) * this.gamepadDeadZone) / (1 - this.gamepadDeadZone);
+        };
+        const trigger = index => (pad.buttons[index] ? pad.buttons[index].value : 0);
+
+        // Left stick flies and turns, right stick pitches and rolls (up raises the nose),
+        // the d-pad strafes and rises or sinks, right trigger boosts and left trigger brakes
+        const state = this.gamepad;
+        state.yaw = stick(0);
+        state.thrust = -stick(1);
+        state.roll = stick(2);
+        state.pitch = -stick(3);
+        state.strafe = trigger(15) - trigger(14);
+        state.lift = trigger(12) - trigger(13);
+        state.boost = trigger(7);
+        state.brake = trigger(6);
+
+        const active = Object.keys(state).some(axis => state[axis] !== 0);
+        if (active && this.callbacks.onSteer) {
+            this.callbacks.onSteer();
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InputManager;
+}
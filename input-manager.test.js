@@ -0,0 +1,132 @@
+// Unit tests for the key bindings and pointer lock in input-manager.js - run with `npm test`
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Just enough browser for the bindings: an in-memory localStorage
+const storage = new Map();
+global.localStorage = {
+    getItem: key => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: key => storage.delete(key)
+};
+
+// and a document whose pointer lock is granted and released by hand (see lock and unlock)
+global.document = {
+    pointerLockElement: null,
+    addEventListener() {},
+    removeEventListener() {},
+    exitPointerLock() {}
+};
+
+const InputManager = require('./input-manager.js');
+
+const keyDown = (input, code, extra = {}) => {
+    const event = Object.assign({ code, target: null, repeat: false, defaultPrevented: false }, extra);
+    event.preventDefault = () => { event.defaultPrevented = true; };
+    input.onKeyDown(event);
+    return event;
+};
+
+const quietly = fn => {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        return fn();
+    } finally {
+        console.warn = warn;
+    }
+};
+
+test.beforeEach(() => storage.clear());
+
+test('setBinding rejects Ctrl, Alt, Meta and Escape', () => {
+    const input = new InputManager();
+    ['ControlLeft', 'ControlRight', 'AltLeft', 'AltRight', 'MetaLeft', 'MetaRight', 'Escape'].forEach(code => {
+        assert.strictEqual(quietly(() => input.setBinding('forward', code)), false, code);
+    });
+    assert.strictEqual(input.bindings.forward, 'KeyW');
+    assert.strictEqual(storage.get('keyBindings'), undefined);
+});
+
+test('a saved modifier binding is ignored on load', () => {
+    storage.set('keyBindings', JSON.stringify({ brake: 'ControlLeft', boost: 'KeyN' }));
+    const input = new InputManager();
+    assert.strictEqual(input.bindings.brake, 'KeyB');
+    assert.strictEqual(input.bindings.boost, 'KeyN');
+});
+
+test('capturing a binding skips modifiers and waits for a bindable key', () => {
+    const input = new InputManager();
+    let done = 0;
+    input.captureBinding('brake', () => { done++; });
+
+    const ctrl = keyDown(input, 'ControlLeft', { ctrlKey: true });
+    assert.strictEqual(ctrl.defaultPrevented, false);
+    assert.strictEqual(done, 0);
+    assert.strictEqual(input.bindings.brake, 'KeyB');
+
+    keyDown(input, 'KeyN');
+    assert.strictEqual(done, 1);
+    assert.strictEqual(input.bindings.brake, 'KeyN');
+    assert.deepStrictEqual(JSON.parse(storage.get('keyBindings')), { brake: 'KeyN' });
+});
+
+test('Escape cancels a capture without changing the binding', () => {
+    const input = new InputManager();
+    let done = 0;
+    input.captureBinding('forward', () => { done++; });
+    keyDown(input, 'Escape');
+    assert.strictEqual(done, 1);
+    assert.strictEqual(input.bindings.forward, 'KeyW');
+    assert.strictEqual(input.capture, null);
+});
+
+test('a rebound key flies, and the key it took swaps to the old one', () => {
+    const input = new InputManager();
+    input.setFlightMode(true);
+    assert.strictEqual(input.setBinding('strafeLeft', 'KeyQ'), true);
+    assert.strictEqual(input.bindings.rollLeft, 'KeyZ');
+
+    keyDown(input, 'KeyQ');
+    assert.strictEqual(input.isActive('strafeLeft'), true);
+    assert.strictEqual(input.isActive('rollLeft'), false);
+});
+
+// Pointer lock: the browser grants or drops the lock, then fires pointerlockchange
+const canvas = { requestPointerLock() {} };
+const lock = input => {
+    input.requestPointerLock(canvas);
+    document.pointerLockElement = canvas;
+    input.onPointerLockChange();
+};
+const unlock = input => {
+    document.pointerLockElement = null;
+    input.onPointerLockChange();
+};
+
+test('turning mouse look off keeps keyboard flight going', () => {
+    const input = new InputManager();
+    input.setFlightMode(true);
+    lock(input);
+    input.exitPointerLock();
+    unlock(input);
+    assert.strictEqual(input.pointerLocked, false);
+    assert.strictEqual(input.flightMode, true);
+});
+
+test('losing the lock through Escape leaves flight mode', () => {
+    const input = new InputManager();
+    input.setFlightMode(true);
+    lock(input);
+    unlock(input);
+    assert.strictEqual(input.flightMode, false);
+});
+
+test('turning mouse look off leaves flight mode when mouse look entered it', () => {
+    const input = new InputManager();
+    lock(input);
+    assert.strictEqual(input.flightMode, true);
+    input.exitPointerLock();
+    unlock(input);
+    assert.strictEqual(input.flightMode, false);
+});
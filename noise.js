@@ -0,0 +1,116 @@
+// ==========================================
+// SEEDED HASHING, RANDOM STREAMS & NOISE
+// Shared by the ASCII background's world, biome and effect generators.
+// Plain script with no DOM or Three.js use, so it also loads in Node (require('./noise.js')).
+// ==========================================
+
+class AsciiNoise {
+    // FNV-1a string hash
+    static hashString(text) {
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    // Mix a 32-bit integer into a hash (murmur3 finalizer)
+    static hashCombine(hash, value) {
+        let h = (hash ^ Math.imul(value | 0, 0x9e3779b1)) >>> 0;
+        h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+        h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+        return (h ^ (h >>> 16)) >>> 0;
+    }
+
+    // Unsigned 32-bit hash of an integer lattice point. Coordinates are mixed in one at a time,
+    // so (x, y, z) and its permutations hash independently at any grid distance.
+    static hash3(seed, x, y, z) {
+        return AsciiNoise.hashCombine(AsciiNoise.hashCombine(AsciiNoise.hashCombine(seed, x), y), z);
+    }
+
+    // Float in [0, 1) for an integer lattice point
+    static random3(seed, x, y, z) {
+        return AsciiNoise.hash3(seed, x, y, z) / 4294967296;
+    }
+
+    // Seed for an independent stream, derived from a base seed and any mix of numbers and strings
+    static deriveSeed(seed, ...keys) {
+        let state = seed >>> 0;
+        keys.forEach(key => {
+            const value = typeof key === 'number' ? key : AsciiNoise.hashString(String(key));
+            state = AsciiNoise.hashCombine(state, value);
+        });
+        return state;
+    }
+
+    // Small seeded stream PRNG (mulberry32) returning floats in [0, 1)
+    static mulberry32(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Seeded 3D simplex noise in [-1, 1]. Corner gradients come from hash3 rather than a
+    // permutation table, so every seed gets its own field without any setup.
+    static simplex3(seed, x, y, z) {
+        const F3 = 1 / 3;
+        const G3 = 1 / 6;
+        const gradients = AsciiNoise.gradients;
+
+        // Skew into simplex space to find the containing cell
+        const s = (x + y + z) * F3;
+        const i = Math.floor(x + s);
+        const j = Math.floor(y + s);
+        const k = Math.floor(z + s);
+        const t = (i + j + k) * G3;
+        const x0 = x - (i - t);
+        const y0 = y - (j - t);
+        const z0 = z - (k - t);
+
+        // Which of the six tetrahedra the point falls in
+        let i1, j1, k1, i2, j2, k2;
+        if (x0 >= y0) {
+            if (y0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+            else if (x0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 0; k2 = 1; }
+            else { i1 = 0; j1 = 0; k1 = 1; i2 = 1; j2 = 0; k2 = 1; }
+        } else {
+            if (y0 < z0) { i1 = 0; j1 = 0; k1 = 1; i2 = 0; j2 = 1; k2 = 1; }
+            else if (x0 < z0) { i1 = 0; j1 = 1; k1 = 0; i2 = 0; j2 = 1; k2 = 1; }
+            else { i1 = 0; j1 = 1; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+        }
+
+        const corner = (dx, dy, dz, ci, cj, ck) => {
+            const falloff = 0.6 - dx * dx - dy * dy - dz * dz;
+            if (falloff < 0) return 0;
+            const g = gradients[AsciiNoise.hash3(seed, ci, cj, ck) % 12];
+            const f2 = falloff * falloff;
+            return f2 * f2 * (g[0] * dx + g[1] * dy + g[2] * dz);
+        };
+
+        const total =
+            corner(x0, y0, z0, i, j, k) +
+            corner(x0 - i1 + G3, y0 - j1 + G3, z0 - k1 + G3, i + i1, j + j1, k + k1) +
+            corner(x0 - i2 + 2 * G3, y0 - j2 + 2 * G3, z0 - k2 + 2 * G3, i + i2, j + j2, k + k2) +
+            corner(x0 - 1 + 3 * G3, y0 - 1 + 3 * G3, z0 - 1 + 3 * G3, i + 1, j + 1, k + 1);
+
+        // Scale the raw sum to roughly [-1, 1]
+        return Math.max(-1, Math.min(1, 32 * total));
+    }
+}
+
+// Cube edge midpoints used as simplex gradients
+AsciiNoise.gradients = [
+    [1, 1, 0], [-1, 1, 0], [1, -1, 0], [-1, -1, 0],
+    [1, 0, 1], [-1, 0, 1], [1, 0, -1], [-1, 0, -1],
+    [0, 1, 1], [0, -1, 1], [0, 1, -1], [0, -1, -1]
+];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AsciiNoise;
+}
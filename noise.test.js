@@ -0,0 +1,110 @@
+// Unit tests for noise.js - run with `npm test` (Node's built-in test runner, no browser needed)
+const test = require('node:test');
+const assert = require('node:assert');
+const AsciiNoise = require('./noise.js');
+
+// Chi-square statistic of samples in [0, 1) over equal-width buckets
+function chiSquare(samples, buckets) {
+    const counts = new Array(buckets).fill(0);
+    samples.forEach(value => { counts[Math.floor(value * buckets)]++; });
+    const expected = samples.length / buckets;
+    return counts.reduce((sum, count) => sum + (count - expected) ** 2 / expected, 0);
+}
+
+// 99.9th percentile of chi-square with 19 degrees of freedom (20 buckets)
+const CHI_SQUARE_LIMIT = 43.82;
+
+test('hashes are deterministic and depend on the seed', () => {
+    assert.strictEqual(AsciiNoise.hashString('aether'), AsciiNoise.hashString('aether'));
+    assert.notStrictEqual(AsciiNoise.hashString('aether'), AsciiNoise.hashString('aethes'));
+
+    assert.strictEqual(AsciiNoise.hash3(42, 1, 2, 3), AsciiNoise.hash3(42, 1, 2, 3));
+    assert.notStrictEqual(AsciiNoise.hash3(42, 1, 2, 3), AsciiNoise.hash3(43, 1, 2, 3));
+
+    assert.strictEqual(AsciiNoise.random3(42, -5, 0, 9), AsciiNoise.random3(42, -5, 0, 9));
+    assert.notStrictEqual(AsciiNoise.random3(42, -5, 0, 9), AsciiNoise.random3(43, -5, 0, 9));
+
+    assert.strictEqual(AsciiNoise.deriveSeed(42, 'biome', 3), AsciiNoise.deriveSeed(42, 'biome', 3));
+    assert.notStrictEqual(AsciiNoise.deriveSeed(42, 'biome'), AsciiNoise.deriveSeed(42, 'debris'));
+});
+
+test('mulberry32 replays the same stream for a seed and a different one for another', () => {
+    const take = (seed, count) => {
+        const random = AsciiNoise.mulberry32(seed);
+        return Array.from({ length: count }, () => random());
+    };
+    assert.deepStrictEqual(take(7, 50), take(7, 50));
+    assert.notDeepStrictEqual(take(7, 50), take(8, 50));
+});
+
+test('simplex3 is deterministic and depends on the seed', () => {
+    const points = [[0.3, 1.7, -2.2], [10.5, 4.25, 7.75], [-3.1, 0.01, 5.9]];
+    points.forEach(([x, y, z]) => {
+        assert.strictEqual(AsciiNoise.simplex3(42, x, y, z), AsciiNoise.simplex3(42, x, y, z));
+    });
+    const differs = points.some(([x, y, z]) => AsciiNoise.simplex3(42, x, y, z) !== AsciiNoise.simplex3(43, x, y, z));
+    assert.ok(differs, 'simplex3 ignored the seed');
+});
+
+test('random3 is roughly uniform over a lattice', () => {
+    const samples = [];
+    for (let x = -20; x < 20; x++) {
+        for (let y = -10; y < 10; y++) {
+            for (let z = 0; z < 25; z++) {
+                samples.push(AsciiNoise.random3(1234, x, y, z));
+            }
+        }
+    }
+    samples.forEach(value => assert.ok(value >= 0 && value < 1, `random3 out of range: ${value}`));
+    assert.ok(chiSquare(samples, 20) < CHI_SQUARE_LIMIT);
+});
+
+test('mulberry32 is roughly uniform', () => {
+    const random = AsciiNoise.mulberry32(1234);
+    const samples = Array.from({ length: 20000 }, () => random());
+    samples.forEach(value => assert.ok(value >= 0 && value < 1, `mulberry32 out of range: ${value}`));
+    assert.ok(chiSquare(samples, 20) < CHI_SQUARE_LIMIT);
+});
+
+test('hash3 tells a lattice point from its permutations', () => {
+    // The old gridToWorld faked independent axes by hashing permuted coordinates, so every
+    // ordering of a lattice point has to hash independently
+    for (let x = -6; x <= 6; x++) {
+        for (let y = -6; y <= 6; y++) {
+            for (let z = -6; z <= 6; z++) {
+                if (x === y || y === z || x === z) continue;
+                const hashes = [[x, y, z], [x, z, y], [y, x, z], [y, z, x], [z, x, y], [z, y, x]]
+                    .map(([a, b, c]) => AsciiNoise.hash3(99, a, b, c));
+                assert.strictEqual(new Set(hashes).size, 6, `permutations of (${x}, ${y}, ${z}) collide`);
+            }
+        }
+    }
+});
+
+test('simplex3 stays in [-1, 1] and uses the range', () => {
+    let min = Infinity;
+    let max = -Infinity;
+    const random = AsciiNoise.mulberry32(5);
+    for (let i = 0; i < 20000; i++) {
+        const value = AsciiNoise.simplex3(42, random() * 100 - 50, random() * 100 - 50, random() * 100 - 50);
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+    }
+    assert.ok(min >= -1 && max <= 1, `simplex3 left [-1, 1]: ${min} to ${max}`);
+    assert.ok(min < -0.5 && max > 0.5, `simplex3 range too narrow: ${min} to ${max}`);
+});
+
+test('simplex3 is continuous', () => {
+    const step = 1e-4;
+    const random = AsciiNoise.mulberry32(6);
+    for (let i = 0; i < 5000; i++) {
+        const x = random() * 40 - 20;
+        const y = random() * 40 - 20;
+        const z = random() * 40 - 20;
+        const value = AsciiNoise.simplex3(42, x, y, z);
+        [[step, 0, 0], [0, step, 0], [0, 0, step]].forEach(([dx, dy, dz]) => {
+            const delta = Math.abs(AsciiNoise.simplex3(42, x + dx, y + dy, z + dz) - value);
+            assert.ok(delta < 0.01, `simplex3 jumps by ${delta} near (${x}, ${y}, ${z})`);
+        });
+    }
+});
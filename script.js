@@ -9,6 +9,15 @@ document.addEventListener('DOMContentLoaded', function() {
     initScrollAnimations();
 });
 
+// Reduced motion: the background publishes the visitor's choice (its motion toggle or the OS
+// setting) as the reduced-motion class on <html>. Pages without the background follow the OS.
+function prefersReducedMotion() {
+    if (window.asciiBackground) {
+        return document.documentElement.classList.contains('reduced-motion');
+    }
+    return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
 // Smooth scrolling for navigation links
 function initSmoothScroll() {
     const navLinks = document.querySelectorAll('.nav-link, a[href^="#"]');
@@ -29,7 +38,7 @@ function initSmoothScroll() {
 
                     window.scrollTo({
                         top: targetPosition,
-                        behavior: 'smooth'
+                        behavior: prefersReducedMotion() ? 'auto' : 'smooth'
                     });
                 }
             }
@@ -70,6 +79,9 @@ function initNavHighlight() {
 
 // Scroll-triggered animations
 function initScrollAnimations() {
+    // With reduced motion, content is simply shown
+    if (prefersReducedMotion()) return;
+
     const observerOptions = {
         threshold: 0.1,
         rootMargin: '0px 0px -100px 0px'
@@ -119,6 +131,19 @@ function initScrollAnimations() {
         method.style.transition = `all 0.6s ease ${index * 0.1}s`;
         observer.observe(method);
     });
+
+    // Reveal everything at once if reduced motion is switched on mid-visit
+    document.addEventListener('reducedmotionchange', (e) => {
+        if (!e.detail.reducedMotion) return;
+
+        observer.disconnect();
+        const animated = [...projectCards, ...interestCards, ...skillCategories, ...contactMethods];
+        animated.forEach(element => {
+            element.style.transition = 'none';
+            element.style.opacity = '1';
+            element.style.transform = 'translateY(0)';
+        });
+    });
 }
 
 // ==========================================
@@ -219,6 +244,11 @@ let konamiCode = [];
 const konamiPattern = ['ArrowUp', 'ArrowUp', 'ArrowDown', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'ArrowLeft', 'ArrowRight', 'b', 'a'];
 
 document.addEventListener('keydown', (e) => {
+    // Typing in a field or flying the background's camera doesn't count towards the code
+    const target = e.target;
+    const editable = target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+    if (editable || document.documentElement.classList.contains('flight-mode')) return;
+
     konamiCode.push(e.key);
     konamiCode = konamiCode.slice(-10);
 